@@ -48,30 +48,276 @@ const getCachedConversation = async (sessionId) => {
     return await refreshFromDynamoDB(sessionId);
 };
 
-const addTurnToCache = async (sessionId, turn) => {
-    // No-op for now, we rely on the main save logic
+// Persist one conversation turn (user or assistant) to prod-genie-messages
+// Failures are logged but never fail the request
+const addTurnToCache = async (sessionId, userId, role, content, intent = null, metadata = {}) => {
+  if (!sessionId || !content) return null;
+  
+  const timestamp = metadata.timestamp || Date.now();
+  const item = {
+    conversationId: sessionId,
+    timestamp,
+    messageId: `${timestamp}-${role}`,
+    userId,
+    role,
+    content,
+    intent: intent?.type || null,
+    intentCategory: intent?.category || null,
+    tokensUsed: metadata.tokensUsed || 0,
+    tier: metadata.tier !== undefined ? metadata.tier : null,
+    clientTimestamp: metadata.clientTimestamp || null,
+    isVoiceInput: metadata.isVoiceInput || false,
+    hasImage: metadata.hasImage || false,
+    createdAt: new Date(timestamp).toISOString()
+  };
+  if (metadata.actions && metadata.actions.length > 0) {
+    item.actions = metadata.actions; // Kept so exports include what the app was handed
+  }
+  
+  try {
+    await dynamodb.put({
+      TableName: 'prod-genie-messages',
+      Item: item
+    }).promise();
+    return item;
+  } catch (e) {
+    console.error(`[Conversation] Error saving ${role} turn:`, e);
+    return null;
+  }
+};
+
+// Keep the conversation's meta item current for the conversations list
+// title is only set the first time (if_not_exists) so user renames stick,
+// and the write is conditional so a sessionId can never be re-owned by another user
+const touchConversationMeta = async (sessionId, userId, { title = null, lastMessage = null, messages = 2 } = {}) => {
+  if (!sessionId) return;
+  
+  const names = { '#role': 'role' };
+  const values = {
+    ':userId': userId,
+    ':now': Date.now(),
+    ':meta': 'meta',
+    ':last': lastMessage ? String(lastMessage).substring(0, 200) : null,
+    ':count': messages
+  };
+  let setExpression = 'SET userId = :userId, updatedAt = :now, lastMessage = :last, #role = :meta, createdAt = if_not_exists(createdAt, :now)';
+  if (title) {
+    setExpression += ', title = if_not_exists(title, :title)';
+    values[':title'] = title;
+  }
+  
+  try {
+    await dynamodb.update({
+      TableName: 'prod-genie-messages',
+      Key: { conversationId: sessionId, timestamp: CONVERSATION_META_TIMESTAMP },
+      UpdateExpression: `${setExpression} ADD messageCount :count`,
+      ConditionExpression: 'attribute_not_exists(userId) OR userId = :userId',
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values
+    }).promise();
+  } catch (e) {
+    if (e.code === 'ConditionalCheckFailedException') {
+      console.error(`[Conversation] ❌ ${sessionId} belongs to another user, meta not updated`);
+    } else {
+      console.error('[Conversation] Error updating conversation meta:', e);
+    }
+  }
 };
 
 const needsFullContext = (query) => true; // Always fetch full context for safety
 
+// Rolling summaries: once more than SUMMARY_TRIGGER_MESSAGES turns are unsummarized, everything
+// but the latest SUMMARY_KEEP_RECENT is folded into a per-conversation summary (stored on the
+// conversation's meta item), so the model always sees summary + every unsummarized turn
+const SUMMARY_TRIGGER_MESSAGES = 20;
+const SUMMARY_KEEP_RECENT = 10;
+const SUMMARY_MODEL = 'us.amazon.nova-lite-v1:0';
+const SUMMARY_TIMEOUT_MS = 5000; // The summary is awaited before the response returns - give up past this
+const CONVERSATION_META_TIMESTAMP = 0; // Sort key of the per-conversation meta item
+
+// Number of prior messages replayed to the model as Converse `messages`
+const MAX_HISTORY_MESSAGES = SUMMARY_TRIGGER_MESSAGES;
+const MAX_HISTORY_MESSAGE_CHARS = 2000; // Long replies (plans, scripts) are trimmed when replayed
+
+// Turn stored history into alternating user/assistant Converse messages
+// Converse requires the first message to be from the user and roles to alternate,
+// and the current query is appended as the final user message by the caller
+const buildHistoryMessages = (history = [], maxMessages = MAX_HISTORY_MESSAGES) => {
+  const turns = history
+    .filter(item => (item.role === 'user' || item.role === 'assistant') && item.content)
+    .slice(-maxMessages);
+  
+  const messages = [];
+  for (const turn of turns) {
+    const text = String(turn.content).substring(0, MAX_HISTORY_MESSAGE_CHARS);
+    const previous = messages[messages.length - 1];
+    if (previous && previous.role === turn.role) {
+      // Merge consecutive turns from the same role (e.g. a retried question)
+      previous.content[0].text += `\n\n${text}`;
+    } else {
+      messages.push({ role: turn.role, content: [{ text }] });
+    }
+  }
+  
+  // Must start with a user turn and end with an assistant turn
+  while (messages.length > 0 && messages[0].role !== 'user') messages.shift();
+  while (messages.length > 0 && messages[messages.length - 1].role !== 'assistant') messages.pop();
+  
+  return messages;
+};
+
+// Meta item for a conversation (rolling summary, etc.) - stored in prod-genie-messages at timestamp 0
+const getConversationMeta = async (sessionId) => {
+  try {
+    const result = await dynamodb.get({
+      TableName: 'prod-genie-messages',
+      Key: { conversationId: sessionId, timestamp: CONVERSATION_META_TIMESTAMP }
+    }).promise();
+    return result.Item || null;
+  } catch (e) {
+    console.error('[Conversation] Error fetching conversation meta:', e);
+    return null;
+  }
+};
+
+// Owner of a conversation: the meta item's userId, or the first message's for conversations
+// created before meta items existed. null means nobody has written to this sessionId yet
+const getConversationOwner = async (sessionId) => {
+  const meta = await getConversationMeta(sessionId);
+  if (meta?.userId) return meta.userId;
+  const result = await dynamodb.query({
+    TableName: 'prod-genie-messages',
+    KeyConditionExpression: 'conversationId = :sessionId AND #ts > :meta',
+    ExpressionAttributeNames: { '#ts': 'timestamp' },
+    ExpressionAttributeValues: { ':sessionId': sessionId, ':meta': CONVERSATION_META_TIMESTAMP },
+    Limit: 1
+  }).promise();
+  return result.Items?.[0]?.userId || null;
+};
+
+// Returns the rolling summary (if any) as a leading { role: 'summary' } entry, followed by
+// every turn newer than the summary in chronological order
 const refreshFromDynamoDB = async (sessionId) => {
+  if (!sessionId) return [];
   try {
+    const meta = await getConversationMeta(sessionId);
+    const summarizedThrough = meta?.summarizedThrough || CONVERSATION_META_TIMESTAMP;
+    
     const result = await dynamodb.query({
       TableName: 'prod-genie-messages',
-      KeyConditionExpression: 'conversationId = :sessionId',
-      ExpressionAttributeValues: { ':sessionId': sessionId },
-      Limit: 10,
+      KeyConditionExpression: 'conversationId = :sessionId AND #ts > :after',
+      ExpressionAttributeNames: { '#ts': 'timestamp' },
+      ExpressionAttributeValues: { ':sessionId': sessionId, ':after': summarizedThrough },
+      Limit: MAX_HISTORY_MESSAGES,
       ScanIndexForward: false // Get latest first
     }).promise();
     
     // Reverse to get chronological order
-    return (result.Items || []).reverse();
+    const turns = (result.Items || []).reverse();
+    if (meta?.summary) {
+      return [{ role: 'summary', content: meta.summary, timestamp: summarizedThrough }, ...turns];
+    }
+    return turns;
   } catch (e) {
     console.error('[Conversation] Error fetching history:', e);
     return [];
   }
 };
 
+// Fold older turns into the conversation's rolling summary once it passes the threshold
+// Runs after the assistant turn is saved; failures only cost us a summary, never the request
+const updateConversationSummary = async (sessionId) => {
+  if (!sessionId) return null;
+  try {
+    const meta = await getConversationMeta(sessionId);
+    const previousThrough = meta?.summarizedThrough || CONVERSATION_META_TIMESTAMP;
+    
+    const unsummarized = [];
+    let lastKey;
+    do {
+      const result = await dynamodb.query({
+        TableName: 'prod-genie-messages',
+        KeyConditionExpression: 'conversationId = :sessionId AND #ts > :after',
+        ExpressionAttributeNames: { '#ts': 'timestamp' },
+        ExpressionAttributeValues: { ':sessionId': sessionId, ':after': previousThrough },
+        ExclusiveStartKey: lastKey
+      }).promise();
+      unsummarized.push(...(result.Items || []));
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+    
+    if (unsummarized.length <= SUMMARY_TRIGGER_MESSAGES) {
+      return null; // Still fits in the replay window
+    }
+    
+    const toFold = unsummarized.slice(0, unsummarized.length - SUMMARY_KEEP_RECENT);
+    const transcript = toFold
+      .filter(turn => turn.role === 'user' || turn.role === 'assistant')
+      .map(turn => `${turn.role === 'user' ? 'User' : 'Genie'}: ${String(turn.content).substring(0, MAX_HISTORY_MESSAGE_CHARS)}`)
+      .join('\n\n');
+    
+    console.log(`[Summary] Folding ${toFold.length} turns into summary for ${sessionId}`);
+    const summaryRequest = bedrock.converse({
+      modelId: SUMMARY_MODEL,
+      system: [{
+        text: `You maintain a running summary of a coaching conversation between a user and Genie, their fitness and wellness coach.
+Update the existing summary with the new turns. Keep it under 250 words, written as short bullet points.
+ALWAYS keep concrete facts the user stated: race or event dates, injuries and pain, goals, schedules, dietary restrictions, preferences, and decisions or plans agreed on.
+Drop small talk. If a newer turn contradicts an older fact, keep the newer one. Return only the summary.`
+      }],
+      messages: [{
+        role: 'user',
+        content: [{ text: `EXISTING SUMMARY:\n${meta?.summary || '(none yet)'}\n\nNEW TURNS:\n${transcript}` }]
+      }],
+      inferenceConfig: { maxTokens: 600, temperature: 0.2 }
+    });
+    // Abort rather than leave the call pending - Lambda freezes the process once the response is out
+    const abortTimer = setTimeout(() => summaryRequest.abort(), SUMMARY_TIMEOUT_MS);
+    let response;
+    try {
+      response = await summaryRequest.promise();
+    } finally {
+      clearTimeout(abortTimer);
+    }
+    
+    const summary = (response.output.message.content || [])
+      .filter(block => block.text)
+      .map(block => block.text)
+      .join('\n')
+      .trim();
+    if (!summary) return null;
+    
+    const summarizedThrough = toFold[toFold.length - 1].timestamp;
+    // Only move forward if no concurrent request already folded these turns
+    await dynamodb.update({
+      TableName: 'prod-genie-messages',
+      Key: { conversationId: sessionId, timestamp: CONVERSATION_META_TIMESTAMP },
+      UpdateExpression: 'SET summary = :summary, summarizedThrough = :through, summaryUpdatedAt = :now, #role = :meta',
+      ConditionExpression: 'attribute_not_exists(summarizedThrough) OR summarizedThrough = :previous',
+      ExpressionAttributeNames: { '#role': 'role' },
+      ExpressionAttributeValues: {
+        ':summary': summary,
+        ':through': summarizedThrough,
+        ':previous': previousThrough,
+        ':now': new Date().toISOString(),
+        ':meta': 'meta'
+      }
+    }).promise();
+    
+    console.log(`[Summary] ✅ Summary updated through ${summarizedThrough} (${summary.length} chars)`);
+    return summary;
+  } catch (e) {
+    if (e.code === 'ConditionalCheckFailedException') {
+      console.log('[Summary] Another request already updated the summary, skipping');
+    } else if (e.code === 'RequestAbortedError') {
+      console.log(`[Summary] ⚠️ Summarizer took over ${SUMMARY_TIMEOUT_MS}ms, retrying on the next turn`);
+    } else {
+      console.error('[Summary] Error updating conversation summary:', e);
+    }
+    return null;
+  }
+};
+
 const getCacheStats = () => ({ hits: 0, misses: 0, size: 0 });
 
 // --- Intent Detector ---
@@ -103,11 +349,167 @@ const detectConversationIntent = (query, history, userContext) => {
 const buildEnhancedPrompt = (query, context) => {
   return query; // Pass through for now
 };
+
+const buildEnhancedSystemPrompt = (userContext, conversationHistory = [], detectedIntent = null, requestStructured = false, userProfile = null) => {
+  return withConversationSummary(buildSystemPrompt(userContext, requestStructured), conversationHistory);
+};
+
+// Rolling summary of earlier turns goes ahead of the replayed recent messages (coaching and
+// meditation prompts alike - buildHistoryMessages only replays the recent turns)
+const withConversationSummary = (prompt, conversationHistory = []) => {
+  const summaryTurn = conversationHistory.find(turn => turn.role === 'summary');
+  if (summaryTurn) {
+    prompt += `
+
+═══════════════════════════════════════════════════════════
+🧠 EARLIER IN THIS CONVERSATION (summary of older messages):
+═══════════════════════════════════════════════════════════
+
+${summaryTurn.content}
+
+Treat facts the user stated here (dates, injuries, goals) as true unless they correct them later.`;
+  }
+  
+  return prompt;
+};
 // NOTE: buildSystemPrompt is defined later in file
 
 // --- Agent Tools ---
-const getAvailableTools = () => [];
-const executeToolCall = async (toolName, params) => null;
+// Tools the model can call through Bedrock Converse (toolConfig) to fetch data
+// that isn't already in the FACTS JSON. Each tool is backed by a DynamoDB helper below.
+const MAX_TOOL_ROUNDS = 4; // Stop the tool-use loop after this many model round trips
+// Shown if the model still has nothing to say once it's out of tool rounds
+const TOOL_LIMIT_FALLBACK_MESSAGE = "I couldn't pull together everything needed to answer that. Could you ask about one thing at a time, like a specific month or workout type?";
+
+const TOOL_ACTIVITY_TYPES = ['runs', 'bikes', 'hikes', 'workouts', 'swims'];
+
+const getAvailableTools = () => [
+  {
+    toolSpec: {
+      name: 'get_runs_in_range',
+      description: 'Get the user\'s activities (runs by default) between two dates, with per-activity distance, duration and pace plus totals. Use this to compare periods, e.g. one month against another.',
+      inputSchema: {
+        json: {
+          type: 'object',
+          properties: {
+            startDate: { type: 'string', description: 'Start date, inclusive (YYYY-MM-DD)' },
+            endDate: { type: 'string', description: 'End date, inclusive (YYYY-MM-DD)' },
+            activityType: { type: 'string', enum: TOOL_ACTIVITY_TYPES, description: 'Activity type, defaults to runs' }
+          },
+          required: ['startDate', 'endDate']
+        }
+      }
+    }
+  },
+  {
+    toolSpec: {
+      name: 'get_personal_record',
+      description: 'Get the user\'s personal record for an activity type and metric (fastest pace, longest distance or longest duration).',
+      inputSchema: {
+        json: {
+          type: 'object',
+          properties: {
+            activityType: { type: 'string', enum: TOOL_ACTIVITY_TYPES, description: 'Activity type, defaults to runs' },
+            metric: { type: 'string', enum: ['pace', 'distance', 'duration'], description: 'Metric to rank by' }
+          },
+          required: ['metric']
+        }
+      }
+    }
+  },
+  {
+    toolSpec: {
+      name: 'get_meditation_history',
+      description: 'Get the user\'s recent meditation sessions, optionally limited to a date range.',
+      inputSchema: {
+        json: {
+          type: 'object',
+          properties: {
+            startDate: { type: 'string', description: 'Start date, inclusive (YYYY-MM-DD)' },
+            endDate: { type: 'string', description: 'End date, inclusive (YYYY-MM-DD)' },
+            limit: { type: 'integer', description: 'Maximum number of sessions to return (default 10, max 50)' }
+          }
+        }
+      }
+    }
+  },
+  {
+    toolSpec: {
+      name: 'search_videos',
+      description: 'Search for workout or exercise demonstration videos.',
+      inputSchema: {
+        json: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', description: 'What to search for, e.g. "goblet squat form"' },
+            limit: { type: 'integer', description: 'Number of videos (default 3, max 5)' }
+          },
+          required: ['query']
+        }
+      }
+    }
+  }
+];
+
+// Parse a YYYY-MM-DD (or ISO) date from tool input into a ms timestamp
+const parseToolDate = (value, endOfDay = false) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date.getTime();
+};
+
+// Execute a tool requested by the model - returns a JSON-serializable result
+// Errors are returned as { error } so the model can recover instead of failing the request
+const executeToolCall = async (toolName, params, context = {}) => {
+  const { userId } = context;
+  const input = params || {};
+  console.log(`[Tools] Executing ${toolName}`, JSON.stringify(input));
+  
+  try {
+    switch (toolName) {
+      case 'get_runs_in_range': {
+        const activityType = TOOL_ACTIVITY_TYPES.includes(input.activityType) ? input.activityType : 'runs';
+        const start = parseToolDate(input.startDate);
+        const end = parseToolDate(input.endDate, true);
+        if (start === null || end === null || start > end) {
+          return { error: 'startDate and endDate must be valid dates (YYYY-MM-DD) with startDate <= endDate' };
+        }
+        return await getActivitiesInRange(userId, activityType, { start, end });
+      }
+      case 'get_personal_record': {
+        const activityType = TOOL_ACTIVITY_TYPES.includes(input.activityType) ? input.activityType : 'runs';
+        const metric = ['pace', 'distance', 'duration'].includes(input.metric) ? input.metric : 'distance';
+        const record = await getPersonalRecord(userId, activityType, metric);
+        return record ? record.stats : { error: `No ${metric} record available for ${activityType}` };
+      }
+      case 'get_meditation_history': {
+        const limit = Math.max(1, Math.min(50, parseInt(input.limit) || 10));
+        return await getMeditationHistory(userId, {
+          start: parseToolDate(input.startDate),
+          end: parseToolDate(input.endDate, true),
+          limit
+        });
+      }
+      case 'search_videos': {
+        if (!input.query) {
+          return { error: 'query is required' };
+        }
+        const limit = Math.max(1, Math.min(5, parseInt(input.limit) || 3));
+        const videos = await searchVideos(input.query, limit);
+        return { query: input.query, videos };
+      }
+      default:
+        return { error: `Unknown tool: ${toolName}` };
+    }
+  } catch (error) {
+    console.error(`[Tools] ❌ ${toolName} failed:`, error);
+    return { error: `Tool ${toolName} failed: ${error.message}` };
+  }
+};
 
 // --- Action Object Builder ---
 const buildActionObject = (response, query) => null;
@@ -136,203 +538,314 @@ console.log('[ROBUST MODE] Using inlined robust implementations');
 const userProfileCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes in milliseconds
 
-// Helper to extract userId from event (handles both auth and no-auth scenarios)
-// RETURNS: Cognito sub (used for token management and as primary user identifier)
-function getUserId(event) {
-  // Priority 1: Check X-User-Id header (iOS app sends Parse user ID here)
-  // This ensures we use the same userId as the balance endpoint
-  if (event.headers?.['X-User-Id'] || event.headers?.['x-user-id']) {
-    const parseUserId = event.headers['X-User-Id'] || event.headers['x-user-id'];
-    console.log(`[getUserId] Using X-User-Id header: ${parseUserId}`);
-    return parseUserId;
-  }
-  
-  // Priority 2: Try to get from JWT authorizer first (when auth is enabled)
+// --- Identity Mapping ---
+// prod-user-identities maps every identifier a request can carry to one canonical userId:
+//   cognito#<sub>      Cognito user pool sub (JWT)
+//   parse#<objectId>   legacy Parse user id (the app sends it as X-User-Id)
+//   email#<address>    verified email, lowercased
+// A GSI on userId (user-identities-index) lists everything linked to an account, for merges.
+// Links are only ever created from verified JWT claims (the API Gateway authorizer's), the admin
+// backfill or a merge. X-User-Id and an unverified Bearer token are client-supplied, so they are
+// looked up but never linked - otherwise anyone could attach someone else's id to their account.
+const IDENTITY_TABLE = 'prod-user-identities';
+const IDENTITY_PRIORITY = ['cognito', 'parse', 'email'];
+// Without verified claims, the id the app has always keyed data by (X-User-Id) comes first
+const CLAIMED_IDENTITY_PRIORITY = ['parse', 'cognito'];
+const IDENTITY_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+
+// Warm cache for the life of the container: request identifiers -> canonical userId
+const identityCache = new Map();
+
+const identityKey = (type, value) => `${type}#${type === 'email' ? String(value).toLowerCase() : value}`;
+
+// Cognito subs are UUIDs; Parse object ids are short alphanumerics
+const looksLikeCognitoSub = (id) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id);
+
+const getJwtClaims = (event) => {
   if (event.requestContext?.authorizer?.jwt?.claims) {
-    const claims = event.requestContext.authorizer.jwt.claims;
-    console.log(`[Auth] Using Cognito sub: ${claims.sub}`);
-    return claims.sub;
+    return event.requestContext.authorizer.jwt.claims;
   }
   
-  // Fallback: decode JWT from Authorization header manually (when auth is disabled)
   const authHeader = event.headers?.Authorization || event.headers?.authorization;
   if (authHeader && authHeader.startsWith('Bearer ')) {
-    const token = authHeader.substring(7);
     try {
-      // Decode JWT payload (base64)
-      const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString());
-      console.log(`[Auth] Extracted Cognito sub from JWT: ${payload.sub}`);
-      return payload.sub;
+      return JSON.parse(Buffer.from(authHeader.substring(7).split('.')[1], 'base64').toString());
     } catch (e) {
       console.error('Failed to decode JWT:', e);
     }
   }
-  
-  throw new Error('No user ID found in request');
-}
+  return null;
+};
 
-// Helper to get username from JWT (email - universal identifier)
-function getUsername(event) {
-  // Try to get from JWT authorizer first
-  if (event.requestContext?.authorizer?.jwt?.claims) {
-    const claims = event.requestContext.authorizer.jwt.claims;
-    return claims['cognito:username'] || claims.email || claims.sub;
-  }
-  
-  // Fallback: decode JWT from Authorization header
-  const authHeader = event.headers?.Authorization || event.headers?.authorization;
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    const token = authHeader.substring(7);
-    try {
-      const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString());
-      return payload['cognito:username'] || payload.email || payload.sub;
-    } catch (e) {
-      console.error('Failed to decode JWT:', e);
+// Every identifier this request carries, split by trust:
+// { verified: { cognito, email }, claimed: { cognito, parse } }
+// verified comes from claims the authorizer checked; claimed is whatever the client sent
+const getRequestIdentities = (event) => {
+  const authorizerClaims = event.requestContext?.authorizer?.jwt?.claims || null;
+  const claims = getJwtClaims(event) || {};
+  const verified = {};
+  const claimed = {};
+  if (authorizerClaims && authorizerClaims.sub) {
+    verified.cognito = authorizerClaims.sub;
+    // Only verified emails are trusted to link accounts
+    if (authorizerClaims.email && (authorizerClaims.email_verified === true || authorizerClaims.email_verified === 'true')) {
+      verified.email = authorizerClaims.email.toLowerCase();
     }
+  } else if (claims.sub) {
+    claimed.cognito = claims.sub;
   }
-  
-  return null;
-}
+  const headerUserId = event.headers?.['X-User-Id'] || event.headers?.['x-user-id'];
+  if (headerUserId) {
+    claimed.parse = headerUserId;
+  }
+  return { verified, claimed };
+};
 
-// Map Cognito user pool ID to app user ID (federated identity ID)
-async function getAppUserId(cognitoUserId, event = null) {
+const getIdentityMapping = async (type, value) => {
+  const result = await dynamodb.get({
+    TableName: IDENTITY_TABLE,
+    Key: { identityKey: identityKey(type, value) }
+  }).promise();
+  return result.Item || null;
+};
+
+// Link an identifier to a userId unless it's already linked
+// Returns the userId the identifier ends up mapped to (differs from userId on a conflict)
+const linkIdentity = async (type, value, userId, source) => {
+  const now = new Date().toISOString();
   try {
-    // First, try to find by cognitoUserId field (if it exists in table)
-    const params = {
-      TableName: 'prod-users',
-      IndexName: 'cognito-user-index', // Assuming there's a GSI on cognitoUserId
-      KeyConditionExpression: 'cognitoUserId = :cognitoId',
-      ExpressionAttributeValues: {
-        ':cognitoId': cognitoUserId
-      },
-      Limit: 1
-    };
-    
-    try {
-      const result = await dynamodb.query(params).promise();
-      if (result.Items && result.Items.length > 0) {
-        console.log(`[UserMapping] Cognito ${cognitoUserId} → App ${result.Items[0].userId}`);
-        return result.Items[0].userId;
-      }
-    } catch (queryError) {
-      // Index might not exist, continue to scan
-      console.log(`[UserMapping] GSI query failed, trying scan: ${queryError.message}`);
-    }
-    
-    // Try direct scan for cognitoUserId field
-    const scanParams = {
-      TableName: 'prod-users',
-      FilterExpression: 'cognitoUserId = :cognitoId',
-      ExpressionAttributeValues: {
-        ':cognitoId': cognitoUserId
+    await dynamodb.put({
+      TableName: IDENTITY_TABLE,
+      Item: {
+        identityKey: identityKey(type, value),
+        type,
+        value: type === 'email' ? String(value).toLowerCase() : value,
+        userId,
+        source,
+        createdAt: now,
+        updatedAt: now
       },
-      Limit: 1
-    };
-    
-    const scanResult = await dynamodb.scan(scanParams).promise();
-    if (scanResult.Items && scanResult.Items.length > 0) {
-      console.log(`[UserMapping] Found via scan: Cognito ${cognitoUserId} → App ${scanResult.Items[0].userId}`);
-      return scanResult.Items[0].userId;
-    }
-    
-    // Try to find by username/email from JWT if available
-    if (event) {
-      const username = getUsername(event);
-      if (username) {
-        console.log(`[UserMapping] Trying to find by username/email: ${username}`);
-        
-        // Try multiple lookup strategies
-        const lowerUsername = username.toLowerCase();
-        
-        // Strategy 1: Direct lookup by username (if userId == username, which is common)
-        const directUserLookup = await dynamodb.get({
-          TableName: 'prod-users',
-          Key: { userId: lowerUsername }
-        }).promise();
-        
-        if (directUserLookup.Item) {
-          console.log(`[UserMapping] ✅ Found by direct userId lookup: ${lowerUsername} → ${directUserLookup.Item.userId}`);
-          return directUserLookup.Item.userId;
-        }
-        
-        // Strategy 2: Scan by username or email field
-        const userScanParams = {
-          TableName: 'prod-users',
-          FilterExpression: 'username = :username OR email = :email',
-          ExpressionAttributeValues: {
-            ':username': lowerUsername,
-            ':email': lowerUsername
-          },
-          Limit: 1
-        };
-        
-        const userScanResult = await dynamodb.scan(userScanParams).promise();
-        if (userScanResult.Items && userScanResult.Items.length > 0) {
-          console.log(`[UserMapping] ✅ Found by username/email scan: ${username} → App ${userScanResult.Items[0].userId}`);
-          return userScanResult.Items[0].userId;
-        }
-        
-        // Strategy 3: If username is an email, try extracting the local part
-        if (username.includes('@')) {
-          const localPart = username.split('@')[0].toLowerCase();
-          const localPartLookup = await dynamodb.get({
-            TableName: 'prod-users',
-            Key: { userId: localPart }
-          }).promise();
-          
-          if (localPartLookup.Item) {
-            console.log(`[UserMapping] ✅ Found by email local part: ${localPart} → ${localPartLookup.Item.userId}`);
-            return localPartLookup.Item.userId;
-          }
-        }
-        
-        console.log(`[UserMapping] ⚠️ Could not find user by username/email: ${username}`);
-      }
+      ConditionExpression: 'attribute_not_exists(identityKey)'
+    }).promise();
+    console.log(`[Identity] ✅ Linked ${type} ${value} → ${userId} (${source})`);
+    return userId;
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') throw error;
+    const existing = await getIdentityMapping(type, value);
+    return existing ? existing.userId : userId;
+  }
+};
+
+// Canonical userId for a request - used by every route so they all resolve the same record
+async function resolveUserId(event) {
+  const { verified, claimed } = getRequestIdentities(event);
+  const verifiedTypes = IDENTITY_PRIORITY.filter(type => verified[type]);
+  const claimedTypes = CLAIMED_IDENTITY_PRIORITY.filter(type => claimed[type]);
+  if (verifiedTypes.length === 0 && claimedTypes.length === 0) {
+    throw new Error('No user ID found in request');
+  }
+  
+  const cacheKey = [
+    ...verifiedTypes.map(type => `v:${identityKey(type, verified[type])}`),
+    ...claimedTypes.map(type => identityKey(type, claimed[type]))
+  ].join('|');
+  const cached = identityCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.userId;
+  }
+  
+  let userId;
+  if (verifiedTypes.length > 0) {
+    // Signed-in request: only the verified identifiers decide, in IDENTITY_PRIORITY order
+    const mappings = await Promise.all(verifiedTypes.map(type => getIdentityMapping(type, verified[type])));
+    const known = mappings.find(Boolean);
+    userId = known ? known.userId : await findProfileForCognitoSub(claimed.parse, verified.cognito) || verified[verifiedTypes[0]];
+    
+    const conflicts = mappings.filter(mapping => mapping && mapping.userId !== userId);
+    if (conflicts.length > 0) {
+      // Two accounts claim this person - keep the highest-priority one until they're merged
+      console.log(`[Identity] ⚠️ Identifiers map to different accounts: ${conflicts.map(m => `${m.identityKey} → ${m.userId}`).join(', ')}; using ${userId}`);
     }
     
-    // Last resort: Check if Cognito ID itself is a valid userId (might exist from old migration)
-    const directLookup = await dynamodb.get({
+    // First time we've seen these verified identifiers - link the missing ones
+    await Promise.all(verifiedTypes
+      .filter((type, index) => !mappings[index])
+      .map(type => linkIdentity(type, verified[type], userId, 'jwt')));
+  } else {
+    // Client-supplied ids only: follow existing links (backfill, merges), never create one
+    const mappings = await Promise.all(claimedTypes.map(type => getIdentityMapping(type, claimed[type])));
+    const known = mappings.find(Boolean);
+    userId = known ? known.userId : claimed[claimedTypes[0]];
+  }
+  
+  identityCache.set(cacheKey, { userId, expiresAt: Date.now() + IDENTITY_CACHE_TTL });
+  console.log(`[Identity] ${[...verifiedTypes.map(type => `${type}=${verified[type]} (verified)`), ...claimedTypes.map(type => `${type}=${claimed[type]}`)].join(', ')} → ${userId}`);
+  return userId;
+}
+
+// An unlinked Cognito sub may belong to a legacy account the app still keys by its Parse id.
+// The X-User-Id header alone doesn't prove that, but the account's own prod-users record does:
+// its cognitoUserId must be this verified sub. Returns that account's userId, or null.
+const findProfileForCognitoSub = async (headerUserId, cognitoSub) => {
+  if (!headerUserId || !cognitoSub || headerUserId === cognitoSub) {
+    return null;
+  }
+  const mapping = await getIdentityMapping('parse', headerUserId);
+  const candidateId = mapping ? mapping.userId : headerUserId;
+  const result = await dynamodb.get({
+    TableName: 'prod-users',
+    Key: { userId: candidateId },
+    ProjectionExpression: 'userId, cognitoUserId'
+  }).promise();
+  return result.Item && result.Item.cognitoUserId === cognitoSub ? candidateId : null;
+};
+
+// One-time backfill from prod-users: links each record's own id, cognitoUserId and email.
+// Resumable - pass the returned lastEvaluatedKey back in as startKey until done is true.
+// Conflicts (an identifier already linked to another record) are reported, never overwritten.
+const backfillIdentityMappings = async ({ startKey = null, maxItems = 5000, remainingTimeMs = () => Infinity } = {}) => {
+  const stats = { scanned: 0, linked: 0, alreadyLinked: 0, conflicts: [] };
+  let lastKey = startKey || undefined;
+  
+  do {
+    const page = await dynamodb.scan({
       TableName: 'prod-users',
-      Key: { userId: cognitoUserId }
+      ProjectionExpression: 'userId, cognitoUserId, email',
+      ExclusiveStartKey: lastKey,
+      Limit: 100
     }).promise();
     
-    if (directLookup.Item) {
-      console.log(`[UserMapping] ⚠️ Cognito ID is a valid userId but checking if this is correct record`);
+    for (const item of page.Items || []) {
+      stats.scanned++;
+      const links = [[looksLikeCognitoSub(item.userId) ? 'cognito' : 'parse', item.userId]];
+      if (item.cognitoUserId && item.cognitoUserId !== item.userId) {
+        links.push(['cognito', item.cognitoUserId]);
+      }
+      if (item.email) {
+        links.push(['email', item.email]);
+      }
       
-      // If we have username from JWT, try to match it with email/username in this record
-      if (event) {
-        const username = getUsername(event);
-        if (username) {
-          const recordEmail = (directLookup.Item.email || '').toLowerCase();
-          const recordUsername = (directLookup.Item.username || '').toLowerCase();
-          const jwtUsername = username.toLowerCase();
-          
-          // If the email/username doesn't match, this is likely the wrong record
-          // Keep looking for the correct one
-          if (recordEmail !== jwtUsername && recordUsername !== jwtUsername) {
-            console.log(`[UserMapping] ⚠️ Cognito ID userId exists but email/username doesn't match JWT - skipping`);
-            // Don't return it - fall through to return Cognito ID as-is (will likely fail balance check but at least won't use wrong user)
+      for (const [type, value] of links) {
+        const existing = await getIdentityMapping(type, value);
+        if (existing) {
+          if (existing.userId === item.userId) {
+            stats.alreadyLinked++;
           } else {
-            console.log(`[UserMapping] ✅ Cognito ID userId matches JWT username - using it`);
-            return cognitoUserId;
+            stats.conflicts.push({ identity: identityKey(type, value), userId: item.userId, linkedTo: existing.userId });
           }
+          continue;
+        }
+        const mappedTo = await linkIdentity(type, value, item.userId, 'backfill');
+        if (mappedTo === item.userId) {
+          stats.linked++;
+        } else {
+          stats.conflicts.push({ identity: identityKey(type, value), userId: item.userId, linkedTo: mappedTo });
         }
       }
-      
-      // If no username match, this might be wrong - but we have no other option, so use it
-      console.log(`[UserMapping] ⚠️ Using Cognito ID as userId (may be incorrect)`);
-      return cognitoUserId;
     }
     
-    // If still no mapping, just return the Cognito ID (it might be the app ID already)
-    console.log(`[UserMapping] ⚠️ No mapping found, using Cognito ID as-is: ${cognitoUserId}`);
-    return cognitoUserId;
-  } catch (error) {
-    console.error('[UserMapping] Error mapping user ID:', error);
-    // Fallback to using the Cognito ID
-    return cognitoUserId;
+    lastKey = page.LastEvaluatedKey;
+  } while (lastKey && stats.scanned < maxItems && remainingTimeMs() > 10000);
+  
+  console.log(`[Identity] Backfill: scanned=${stats.scanned}, linked=${stats.linked}, already=${stats.alreadyLinked}, conflicts=${stats.conflicts.length}${lastKey ? ' (more to go)' : ' (done)'}`);
+  return { ...stats, lastEvaluatedKey: lastKey || null, done: !lastKey };
+};
+
+// Merge a duplicate account into the one we keep: every identifier of the source now resolves
+// to the target, unspent top-up tokens move across (the monthly allowance belongs to the
+// source's plan and doesn't), and the source record is marked with mergedInto.
+// Activity and conversation history stay under the source id. Safe to re-run.
+const mergeAccounts = async (sourceUserId, targetUserId) => {
+  if (!sourceUserId || !targetUserId || sourceUserId === targetUserId) {
+    throw new Error('mergeAccounts needs two different user ids');
   }
-}
+  console.log(`[Identity] Merging ${sourceUserId} into ${targetUserId}`);
+  
+  // 1. Repoint identifiers
+  const linked = [];
+  let lastKey;
+  do {
+    const result = await dynamodb.query({
+      TableName: IDENTITY_TABLE,
+      IndexName: 'user-identities-index',
+      KeyConditionExpression: 'userId = :source',
+      ExpressionAttributeValues: { ':source': sourceUserId },
+      ExclusiveStartKey: lastKey
+    }).promise();
+    linked.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  
+  const now = new Date().toISOString();
+  for (const mapping of linked) {
+    try {
+      await dynamodb.update({
+        TableName: IDENTITY_TABLE,
+        Key: { identityKey: mapping.identityKey },
+        UpdateExpression: 'SET userId = :target, mergedFrom = :source, updatedAt = :now',
+        ConditionExpression: 'userId = :source',
+        ExpressionAttributeValues: { ':target': targetUserId, ':source': sourceUserId, ':now': now }
+      }).promise();
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') throw error; // Already moved
+    }
+  }
+  // The source's own id must resolve to the target even if it was never linked
+  const sourceType = looksLikeCognitoSub(sourceUserId) ? 'cognito' : 'parse';
+  await dynamodb.put({
+    TableName: IDENTITY_TABLE,
+    Item: {
+      identityKey: identityKey(sourceType, sourceUserId),
+      type: sourceType,
+      value: sourceUserId,
+      userId: targetUserId,
+      mergedFrom: sourceUserId,
+      source: 'merge',
+      createdAt: now,
+      updatedAt: now
+    }
+  }).promise();
+  
+  // 2. Move unspent top-up tokens through the ledger (entry ids make a re-run a no-op)
+  const mergeId = `merge:${sourceUserId}:${targetUserId}`;
+  const previousTransfer = await dynamodb.get({
+    TableName: TOKEN_LEDGER_TABLE,
+    Key: { userId: sourceUserId, entryId: `${mergeId}:out` },
+    ConsistentRead: true
+  }).promise();
+  const topUpTransferred = previousTransfer.Item
+    ? previousTransfer.Item.amount
+    : (await getTokenBalanceDetails(sourceUserId)).topUpBalance;
+  if (topUpTransferred > 0) {
+    await postLedgerEntry(sourceUserId, {
+      entryId: `${mergeId}:out`,
+      type: 'debit',
+      amount: topUpTransferred,
+      reason: 'account_merge',
+      topUpOnly: true,
+      metadata: { mergedInto: targetUserId }
+    });
+    await creditTokens(targetUserId, topUpTransferred, {
+      requestId: mergeId,
+      reason: 'account_merge',
+      metadata: { mergedFrom: sourceUserId }
+    });
+  }
+  
+  // 3. Mark the source record
+  await dynamodb.update({
+    TableName: 'prod-users',
+    Key: { userId: sourceUserId },
+    UpdateExpression: 'SET mergedInto = :target, mergedAt = :now',
+    ExpressionAttributeValues: { ':target': targetUserId, ':now': now }
+  }).promise();
+  
+  // Other containers pick the change up when their cache entries expire
+  identityCache.clear();
+  
+  console.log(`[Identity] ✅ Merged ${sourceUserId} into ${targetUserId}: ${linked.length} identifiers moved, ${topUpTransferred} top-up tokens transferred`);
+  return { sourceUserId, targetUserId, identitiesMoved: linked.length, topUpTransferred };
+};
 
 // Query classification patterns
 const PATTERNS = {
@@ -433,10 +946,10 @@ const CAPABILITIES = {
   },
   form_analysis: {
     name: 'Analyze Workout Form',
-    description: 'Analyze exercise form and technique from images or videos. Provides feedback on posture, alignment, and recommendations for improvement.',
+    description: 'Analyze exercise form and technique from images or videos. Provides feedback on posture, alignment, and recommendations for improvement. Clips (an uploaded video or sampled frames) are reviewed rep by rep with timestamps.',
     triggers: ['check form', 'analyze form', 'technique', 'proper form'],
     requires_image: true,
-    outputs: ['form_feedback', 'recommendations']
+    outputs: ['form_feedback', 'recommendations', 'rep_breakdown']
   },
   video_search: {
     name: 'Search and Display Workout Videos',
@@ -485,9 +998,40 @@ const CAPABILITIES = {
   }
 };
 
-const classifyQuery = (query, intent = null) => {
+// Share of a meditation's price that pays for the script itself - the rest pays for Polly audio
+// and is refunded if audio can't be delivered
+const MEDITATION_SCRIPT_TOKENS = 3;
+// Narrated characters per minute of story, for quoting its Polly audio (~140 words a minute)
+const STORY_CHARS_PER_MINUTE = 800;
+// What a plain text answer costs (Nova Lite default) - used when a structured action can't be delivered
+const TEXT_ONLY_TOKENS = 2;
+
+// Meditation duration: the query's, else the user's preferred duration, else 10 min
+// Sets intent.params.duration so classifyQuery prices what will be generated; returns where it came from
+const resolveMeditationDuration = (intent, userProfile) => {
+  if (!intent || intent.action !== 'meditation') return null;
+  if (intent.params.duration) return 'query';
+  const preferred = userProfile?.meditation?.preferredDuration;
+  intent.params.duration = preferred || 10;
+  return preferred ? 'preference' : 'default';
+};
+
+const classifyQuery = (query, intent = null, options = {}) => {
   const lowerQuery = query.toLowerCase();
-  
+
+  // Tier 0: plain stats lookups are answered straight from DynamoDB (free)
+  // Only when no action intent or image is present - those always need the model
+  // skipDatabase is set when the database lookup came back empty and we fall through to AI
+  if (!intent && !options.hasImage && !options.skipDatabase && PATTERNS.database.some(p => p.test(query))) {
+    return {
+      tier: 0,
+      handler: 'database',
+      model: null,
+      tokens: 0,
+      cost: 0
+    };
+  }
+
   // Check if this is a meditation query - calculate tokens based on duration
   if (intent && intent.action === 'meditation') {
     const duration = intent.params.duration || 10;
@@ -507,11 +1051,35 @@ const classifyQuery = (query, intent = null) => {
       tokens: totalTokens,
       baseTokens: totalTokens,
       cost: 0.03 * (totalTokens / 8), // Scale cost proportionally
+      audioTokens: totalTokens - MEDITATION_SCRIPT_TOKENS,
       isMeditation: true,
       meditationDuration: duration
     };
   }
   
+  // Bedtime stories keep the model and price of the text answer; the Polly narration is quoted on
+  // top as audioTokens (settled against metered Polly usage, refunded if the audio isn't delivered)
+  if (intent && intent.action === 'bedtime_story') {
+    const text = classifyQuery(query, null, { ...options, skipDatabase: true });
+    const duration = intent.params.duration || 10;
+    const audioTokens = Math.ceil(duration * STORY_CHARS_PER_MINUTE / 1000 * METER_PRICES.polly.neuralPer1K);
+    
+    console.log(`[Classification] Bedtime story: ${duration} min → ${text.tokens} + ${audioTokens} audio tokens`);
+    
+    return { ...text, tokens: text.tokens + audioTokens, audioTokens };
+  }
+  
+  // Form check from a clip: Nova Pro reviewing many frames, rep by rep
+  if (intent && intent.action === 'form_analysis' && intent.params.source !== 'image') {
+    return {
+      tier: 3,
+      handler: 'ai',
+      model: 'us.amazon.nova-pro-v1:0',
+      tokens: FORM_CLIP_TOKENS,
+      cost: 0.04
+    };
+  }
+  
   // Route all queries to AI with context for now
   // This ensures consistent, context-aware responses
   
@@ -571,7 +1139,15 @@ const classifyQuery = (query, intent = null) => {
 };
 
 // Detect action intents (meditation, equipment recognition, video search, etc.)
-function detectActionIntent(query, hasImage = false) {
+function detectActionIntent(query, hasImage = false, clip = null) {
+  // A clip (video or sampled frames) is only ever sent for a form check
+  if (clip) {
+    return {
+      action: 'form_analysis',
+      params: { source: clip.source, frameCount: clip.frameCount || null, timestampsEstimated: clip.timestampsEstimated || false }
+    };
+  }
+  
   // Extract just the question part if query contains [QUESTION] marker
   // This handles cases where the query includes [CONTEXT] and [QUESTION] markers
   let cleanQuery = query;
@@ -621,7 +1197,7 @@ function detectActionIntent(query, hasImage = false) {
   if (hasImage && /\b(form|technique|check my|correct|proper|posture|alignment)\b/i.test(query)) {
     return {
       action: 'form_analysis',
-      params: {}
+      params: { source: 'image' }
     };
   }
   
@@ -898,6 +1474,17 @@ function extractMeditationFocus(query) {
   return 'stress'; // Default
 }
 
+// Ambient loops bundled for server-side mixing (see Ambient Mixing), named as in the app's
+// Do/Resources/Audio/AmbientSounds - one for every type selectAmbientSoundType and the story
+// beds return. No ocean or forest loops ship with the app, so those get the closest calm bed
+const AMBIENT_MIX_ASSETS = {
+  rain: 'ambient_rain.mp3',
+  zen: 'ambient_zen.mp3',
+  ocean: 'ambient_zen_bowls.mp3', // The meditation default
+  forest: 'ambient_story_calm.mp3' // Adventure stories and motivation
+};
+const MIXABLE_AMBIENT_TYPES = Object.keys(AMBIENT_MIX_ASSETS);
+
 // Select appropriate ambient sound type based on meditation focus, script content, and user query
 // Analyzes script for mentions of specific sounds and user query for explicit preferences
 function selectAmbientSoundType(focus, isMotivation = false, script = '', userQuery = '') {
@@ -1089,10 +1676,23 @@ function segmentTextIntoSentences(text) {
   return { sentences, breathingMarker };
 }
 
+// Polly caps a single <break> at 10s - longer pauses are several in a row
+const POLLY_MAX_BREAK_SECONDS = 10;
+const pauseToBreaks = (seconds) => {
+  const breaks = [];
+  for (let left = Math.round(seconds * 10) / 10; left > 0; left = Math.round((left - POLLY_MAX_BREAK_SECONDS) * 10) / 10) {
+    breaks.push(`<break time="${Math.min(left, POLLY_MAX_BREAK_SECONDS)}s"/>`);
+  }
+  return breaks.join('');
+};
+
 // Intelligent pause detection for natural meditation timing
 function detectIntelligentPauses(text) {
   let processed = text;
   
+  // 0. Explicit [PAUSE: Xs] markers from the prompt (and timing padding) → breaks of that length
+  processed = processed.replace(/\s*\[PAUSE:\s*(\d+(?:\.\d+)?)\s*(?:s|secs?|seconds?)?\s*\]/gi, (match, seconds) => pauseToBreaks(parseFloat(seconds)));
+  
   // 1. Breathing with counting: "breathe in for 4 counts" → adds 5s pause after
   processed = processed.replace(/\b(breathe\s+(?:in|out|deeply|slowly)\s+(?:for|through)\s+(\d+)\s+counts?)\b/gi, (match, fullMatch, count) => {
     const pauseTime = 5; // 5s pause for breathing exercises
@@ -1211,10 +1811,10 @@ function convertToSSML(script, focus = 'stress') {
     // Handle breathing markers (meditation pauses) - these are already processed by detectIntelligentPauses
     // but we keep this for backward compatibility with existing markers
     if (sentence.includes(breathingMarker)) {
-      // Replace breathing markers with longer pauses (only if not already processed)
-      if (!sentence.includes('<break time=')) {
-        sentence = sentence.replace(new RegExp(breathingMarker, 'g'), '<break time="3s"/>');
-      }
+      // Replace breathing markers with longer pauses - or drop them next to a pause that's already there
+      sentence = sentence
+        .replace(new RegExp(`${breathingMarker}\\s*(?=<break )|(?<=<break [^>]*\\/>)\\s*${breathingMarker}`, 'g'), '')
+        .replace(new RegExp(breathingMarker, 'g'), '<break time="3s"/>');
     }
     
     // Clean up extra whitespace (but preserve SSML break tags)
@@ -1300,1131 +1900,3396 @@ function convertToSSML(script, focus = 'stress') {
   return ssmlParts.join(' ');
 }
 
-// Generate meditation audio using Amazon Polly
-async function generateMeditationAudio(script, focus = 'stress') {
+// --- Voice Preferences ---
+// Which Polly voice reads meditations and stories. Users can pick a voice, or just a gender and
+// accent, stored as voicePreferences on their prod-users item; otherwise the request locale picks
+// the accent. A second dialogueVoiceId, if set, reads quoted speech in stories. Scripts are written in English, so only English voices are offered. Every choice is
+// checked against the voices Polly currently offers on the neural engine, with Joanna as the
+// fallback if a voice is unknown, retired or rejected at synthesis time.
+const DEFAULT_VOICE_ID = 'Joanna';
+const VOICE_GENDERS = ['female', 'male'];
+const VOICE_LIST_TTL = 60 * 60 * 1000; // 1 hour
+
+// Default voice per accent and gender (neural voices)
+const ACCENT_DEFAULT_VOICES = {
+  'en-US': { female: 'Joanna', male: 'Matthew' },
+  'en-GB': { female: 'Amy', male: 'Brian' },
+  'en-AU': { female: 'Olivia' },
+  'en-IN': { female: 'Kajal' },
+  'en-IE': { female: 'Niamh' },
+  'en-NZ': { female: 'Aria' },
+  'en-ZA': { female: 'Ayanda' }
+};
+const VOICE_ACCENTS = Object.keys(ACCENT_DEFAULT_VOICES);
+
+// Used when describeVoices can't be reached
+const FALLBACK_NEURAL_VOICES = [
+  ['Joanna', 'female', 'en-US'], ['Matthew', 'male', 'en-US'], ['Ruth', 'female', 'en-US'], ['Stephen', 'male', 'en-US'],
+  ['Danielle', 'female', 'en-US'], ['Gregory', 'male', 'en-US'], ['Salli', 'female', 'en-US'], ['Joey', 'male', 'en-US'],
+  ['Amy', 'female', 'en-GB'], ['Emma', 'female', 'en-GB'], ['Brian', 'male', 'en-GB'], ['Arthur', 'male', 'en-GB'],
+  ['Olivia', 'female', 'en-AU'], ['Kajal', 'female', 'en-IN'], ['Niamh', 'female', 'en-IE'], ['Aria', 'female', 'en-NZ'],
+  ['Ayanda', 'female', 'en-ZA']
+].map(([id, gender, accent]) => ({ id, name: id, gender, accent }));
+
+// Time zones that imply an English accent other than US (the locale field may be either)
+const TIMEZONE_ACCENTS = {
+  'Europe/London': 'en-GB', 'Europe/Dublin': 'en-IE', 'Asia/Kolkata': 'en-IN', 'Asia/Calcutta': 'en-IN',
+  'Pacific/Auckland': 'en-NZ', 'Africa/Johannesburg': 'en-ZA'
+};
+
+let neuralVoiceList = null; // { voices, expiresAt } for the life of the container
+
+// English voices Polly offers on the neural engine: [{ id, name, gender, accent }]
+const getNeuralVoices = async () => {
+  if (neuralVoiceList && neuralVoiceList.expiresAt > Date.now()) {
+    return neuralVoiceList.voices;
+  }
   try {
-    // Check environment variable first
-    const bucketName = process.env.MEDITATION_AUDIO_BUCKET;
-    if (!bucketName) {
-      console.error('[Polly] ❌ CRITICAL: MEDITATION_AUDIO_BUCKET environment variable not set!');
-      throw new Error('MEDITATION_AUDIO_BUCKET environment variable not set');
-    }
-    console.log(`[Polly] ✅ S3 bucket configured: ${bucketName}`);
-    
-    // Select voice - use Joanna for all meditation types including motivation
-    // Motivation is a form of meditation, so use the same calming, consistent voice
-    const voiceMap = {
-      'stress': 'Joanna',
-      'anxiety': 'Joanna',
-      'sleep': 'Joanna',
-      'rest': 'Joanna',
-      'focus': 'Joanna',
-      'concentration': 'Joanna',
-      'energy': 'Joanna',
-      'motivation': 'Joanna',
-      'gratitude': 'Joanna'
-    };
-    
-    const voiceId = voiceMap[focus] || 'Joanna';
-    console.log(`[Polly] Selected voice: ${voiceId} for focus: ${focus}`);
-    
-    // Convert script to natural SSML with intelligent sentence segmentation
-    const ssmlContent = convertToSSML(script, focus);
-    
-    // Wrap in SSML speak tag
-    const ssml = `<speak>${ssmlContent}</speak>`;
-    
-    console.log(`[Polly] Generating audio with voice ${voiceId}, script length: ${script.length} chars, SSML length: ${ssml.length} chars`);
-    
-    // Generate speech with neural engine (best quality, natural pace)
-    const params = {
-      Text: ssml,
-      TextType: 'ssml',
-      OutputFormat: 'mp3',
-      VoiceId: voiceId,
-      Engine: 'neural' // Neural engine with prosody for best quality
-    };
-    
-    console.log(`[Polly] Calling polly.synthesizeSpeech with params:`, JSON.stringify({ ...params, Text: `${params.Text.substring(0, 100)}...` }));
-    const data = await polly.synthesizeSpeech(params).promise();
-    console.log(`[Polly] ✅ Polly synthesis successful, audio stream size: ${data.AudioStream ? 'present' : 'missing'}`);
-    
-    // Generate unique filename
-    const timestamp = Date.now();
-    const hash = require('crypto').createHash('md5').update(script).digest('hex').substring(0, 8);
-    const filename = `meditation/${hash}-${timestamp}.mp3`;
-    
-    // Upload to S3
-    console.log(`[Polly] Uploading to S3 bucket: ${bucketName}, key: ${filename}`);
-    console.log(`[Polly] Audio stream type: ${typeof data.AudioStream}, is Buffer: ${Buffer.isBuffer(data.AudioStream)}`);
-    
-    try {
-      await s3.putObject({
-        Bucket: bucketName,
-        Key: filename,
-        Body: data.AudioStream,
-        ContentType: 'audio/mpeg',
-        CacheControl: 'max-age=604800' // Cache for 7 days (matches lifecycle policy)
-      }).promise();
-      
-      console.log(`[Polly] ✅ Audio uploaded to S3: ${filename}`);
-    } catch (s3Error) {
-      console.error(`[Polly] ❌ S3 upload failed:`, s3Error);
-      throw new Error(`S3 upload failed: ${s3Error.message}`);
+    const voices = [];
+    let nextToken;
+    do {
+      const result = await polly.describeVoices({ Engine: 'neural', NextToken: nextToken }).promise();
+      for (const voice of result.Voices || []) {
+        if (String(voice.LanguageCode).startsWith('en-') && (voice.SupportedEngines || ['neural']).includes('neural')) {
+          voices.push({ id: voice.Id, name: voice.Name || voice.Id, gender: String(voice.Gender).toLowerCase(), accent: voice.LanguageCode });
+        }
+      }
+      nextToken = result.NextToken;
+    } while (nextToken);
+    if (voices.length > 0) {
+      neuralVoiceList = { voices, expiresAt: Date.now() + VOICE_LIST_TTL };
+      return voices;
     }
-    
-    // Generate signed URL (valid for 1 hour)
-    const signedUrl = s3.getSignedUrl('getObject', {
-      Bucket: bucketName,
-      Key: filename,
-      Expires: 3600 // 1 hour
-    });
-    
-    // Also return permanent URL (if bucket is public or via CloudFront)
-    const permanentUrl = `https://${bucketName}.s3.amazonaws.com/${filename}`;
-    
-    return {
-      audioUrl: signedUrl,
-      permanentUrl: permanentUrl,
-      filename: filename,
-      duration: Math.ceil(script.length / 10) // Rough estimate: 10 chars per second
-    };
-    
   } catch (error) {
-    console.error('[Polly] Error generating audio:', error);
-    console.error('[Polly] Error details:', JSON.stringify({
-      message: error.message,
-      code: error.code,
-      statusCode: error.statusCode
-    }));
-    // Return null on error - fallback to iOS TTS
-    return null;
+    console.error('[Voices] describeVoices failed, using built-in list:', error.message);
   }
-}
+  return FALLBACK_NEURAL_VOICES;
+};
 
-// Extract search query for video search
-function extractSearchQuery(query) {
-  // Remove command words and keep the subject
-  const cleaned = query
-    .replace(/\b(show me|watch|video|tutorial|how to|demonstration)\b/gi, '')
-    .replace(/\b(equipment|exercise|workout|movement)\b/gi, '')
-    .trim();
-  return cleaned || null;
-}
+// en_GB, en-gb or an IANA zone like Europe/London → a supported accent (null if nothing matches)
+const accentFromLocale = (locale) => {
+  if (!locale) return null;
+  const match = String(locale).match(/^([a-z]{2})[-_]([a-z]{2})\b/i);
+  if (match) {
+    const accent = `${match[1].toLowerCase()}-${match[2].toUpperCase()}`;
+    return VOICE_ACCENTS.includes(accent) ? accent : null;
+  }
+  return TIMEZONE_ACCENTS[locale] || null;
+};
 
-// Search YouTube videos (fallback to web search if no API key)
-async function searchVideos(query, limit = 5) {
-  const YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY;
-  const https = require('https');
+// Pick the voice for this user: explicit voiceId, else gender/accent preference, else locale
+// Returns { id, gender, accent, source } - source says which rule chose it
+const resolveVoice = async (userProfile = null, locale = null) => {
+  const preference = (userProfile && userProfile.voicePreferences) || {};
+  const voices = await getNeuralVoices();
   
-  if (YOUTUBE_API_KEY) {
-    try {
-      const searchUrl = `https://www.googleapis.com/youtube/v3/search?part=snippet&maxResults=${limit}&q=${encodeURIComponent(query + ' workout exercise')}&type=video&key=${YOUTUBE_API_KEY}`;
-      
-      // Use native fetch if available (Node 18+), otherwise use https
-      let data;
-      if (typeof fetch !== 'undefined') {
-        const response = await fetch(searchUrl);
-        data = await response.json();
-      } else {
-        // Fallback to https module
-        data = await new Promise((resolve, reject) => {
-          https.get(searchUrl, (res) => {
-            let body = '';
-            res.on('data', (chunk) => body += chunk);
-            res.on('end', () => {
-              try {
-                resolve(JSON.parse(body));
-              } catch (e) {
-                reject(e);
-              }
-            });
-          }).on('error', reject);
-        });
-      }
-      
-      if (data.items && data.items.length > 0) {
-        return data.items.map(item => ({
-          videoId: item.id.videoId,
-          title: item.snippet.title,
-          thumbnail: item.snippet.thumbnails?.high?.url || item.snippet.thumbnails?.default?.url,
-          channel: item.snippet.channelTitle,
-          url: `https://www.youtube.com/watch?v=${item.id.videoId}`
-        }));
-      }
-    } catch (error) {
-      console.error('[VideoSearch] YouTube API error:', error);
-      // Fall through to placeholder
+  if (preference.voiceId) {
+    const chosen = voices.find(voice => voice.id.toLowerCase() === String(preference.voiceId).toLowerCase());
+    if (chosen) {
+      return { ...chosen, source: 'preference' };
     }
+    console.log(`[Voices] ⚠️ Preferred voice ${preference.voiceId} not available on the neural engine, falling back`);
   }
   
-  // Fallback: Return placeholder with YouTube search URL
-  console.log('[VideoSearch] No YouTube API key or API error, returning placeholder');
-  return [{
-    videoId: 'placeholder',
-    title: `Search YouTube for: "${query} workout"`,
-    thumbnail: null,
-    channel: 'YouTube',
-    url: `https://www.youtube.com/results?search_query=${encodeURIComponent(query + ' workout')}`
-  }];
-}
-
-// Helper: Extract equipment name from AI response
-function extractEquipmentName(response) {
-  // Try to extract equipment name from common patterns
-  const patterns = [
-    /(?:this is|that's|this|it's)\s+(?:a\s+|an\s+)?([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/i,
-    /(?:equipment|machine|device):\s*([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/i,
-    /(?:called|known as|named)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/i
-  ];
+  const accent = (VOICE_ACCENTS.includes(preference.accent) && preference.accent) || accentFromLocale(locale) || 'en-US';
+  const gender = VOICE_GENDERS.includes(preference.gender) ? preference.gender : 'female';
+  const candidates = [
+    ACCENT_DEFAULT_VOICES[accent][gender],
+    ...voices.filter(voice => voice.accent === accent && voice.gender === gender).map(voice => voice.id),
+    ACCENT_DEFAULT_VOICES['en-US'][gender], // Right gender beats right accent
+    DEFAULT_VOICE_ID
+  ].filter(Boolean);
+  const voiceId = candidates.find(id => voices.some(voice => voice.id === id)) || DEFAULT_VOICE_ID;
+  const chosen = voices.find(voice => voice.id === voiceId) || { id: DEFAULT_VOICE_ID, name: DEFAULT_VOICE_ID, gender: 'female', accent: 'en-US' };
   
-  for (const pattern of patterns) {
-    const match = response.match(pattern);
-    if (match && match[1]) {
-      return match[1].trim();
-    }
+  return { ...chosen, source: preference.gender || preference.accent ? 'preference' : (accentFromLocale(locale) ? 'locale' : 'default') };
+};
+
+// The voice for quoted speech in stories - null when unset, unavailable or the same as the narrator
+const resolveDialogueVoice = async (userProfile = null, narratorVoiceId = null) => {
+  const preferred = userProfile && userProfile.voicePreferences && userProfile.voicePreferences.dialogueVoiceId;
+  if (!preferred) {
+    return null;
   }
-  
-  // Fallback: extract first capitalized words
-  const words = response.split(/\s+/);
-  let equipmentName = '';
-  for (let i = 0; i < Math.min(words.length, 3); i++) {
-    if (words[i][0] === words[i][0].toUpperCase() && /^[A-Za-z]+$/.test(words[i])) {
-      equipmentName += words[i] + ' ';
-    }
+  const voices = await getNeuralVoices();
+  const chosen = voices.find(voice => voice.id.toLowerCase() === String(preferred).toLowerCase());
+  if (!chosen) {
+    console.log(`[Voices] ⚠️ Dialogue voice ${preferred} not available on the neural engine, narrator reads dialogue`);
+    return null;
   }
-  return equipmentName.trim() || null;
-}
+  return chosen.id === narratorVoiceId ? null : chosen.id;
+};
 
-// Helper: Categorize equipment type
-function categorizeEquipment(name) {
-  if (!name) return 'other';
-  
-  const lower = name.toLowerCase();
-  if (lower.includes('bench') || lower.includes('chest') || lower.includes('press')) return 'chest';
-  if (lower.includes('squat') || lower.includes('leg') || lower.includes('knee')) return 'legs';
-  if (lower.includes('pull') || lower.includes('row') || lower.includes('lat')) return 'back';
-  if (lower.includes('shoulder') || lower.includes('deltoid')) return 'shoulders';
-  if (lower.includes('curl') || lower.includes('tricep') || lower.includes('bicep')) return 'arms';
-  if (lower.includes('cardio') || lower.includes('treadmill') || lower.includes('bike') || lower.includes('elliptical')) return 'cardio';
-  return 'other';
-}
+// Polly errors that mean "this voice can't do this", as opposed to an outage
+const isVoiceRejected = (error) =>
+  ['ValidationException', 'EngineNotSupportedException', 'InvalidParameterValue', 'LanguageNotSupportedException'].includes(error.code);
 
-// Helper: Parse nutrition data from AI response
-function parseNutritionFromResponse(response) {
-  const nutrition = {
-    calories: 0,
-    macros: { protein: 0, carbs: 0, fat: 0 },
-    foods: []
-  };
+const VOICE_PREFERENCES_SCHEMA = {
+  voiceId: { type: 'string', maxLength: 32, pattern: /^[A-Za-z]+$/ },
+  dialogueVoiceId: { type: 'string', maxLength: 32, pattern: /^[A-Za-z]+$/ },
+  gender: { type: 'string', oneOf: VOICE_GENDERS },
+  accent: { type: 'string', oneOf: VOICE_ACCENTS }
+};
+
+// GET /voices: what the app can offer, the saved preference and the voice that would be used now
+// PUT /voices: save { voiceId?, dialogueVoiceId?, gender?, accent? } - an empty body resets to locale defaults
+const handleVoicesRoute = async (event, userId) => {
+  const voices = await getNeuralVoices();
+  const locale = event.queryStringParameters?.locale || null;
   
-  // Extract calories
-  const calorieMatch = response.match(/(\d+)\s*(?:calories|kcal|cal)/i);
-  if (calorieMatch) {
-    nutrition.calories = parseInt(calorieMatch[1]);
+  if (getRequestMethod(event) === 'GET') {
+    const userProfile = await getUserProfile(userId);
+    return jsonResponse(200, {
+      voices,
+      accents: VOICE_ACCENTS,
+      preference: userProfile.voicePreferences || null,
+      current: await resolveVoice(userProfile, locale)
+    });
   }
   
-  // Extract macros
-  const proteinMatch = response.match(/(\d+(?:\.\d+)?)\s*g\s*(?:protein|pro)/i);
-  const carbMatch = response.match(/(\d+(?:\.\d+)?)\s*g\s*(?:carbs|carbohydrates|carbohydrate)/i);
-  const fatMatch = response.match(/(\d+(?:\.\d+)?)\s*g\s*(?:fat|fats)/i);
-  
-  if (proteinMatch) nutrition.macros.protein = parseFloat(proteinMatch[1]);
-  if (carbMatch) nutrition.macros.carbs = parseFloat(carbMatch[1]);
-  if (fatMatch) nutrition.macros.fat = parseFloat(fatMatch[1]);
-  
-  // Extract food items (simple heuristic - look for common food patterns)
-  const foodPatterns = [
-    /\b([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)\s+(?:with|and|,)/g,
-    /(?:contains|includes|has)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/g
-  ];
-  
-  for (const pattern of foodPatterns) {
-    const matches = response.matchAll(pattern);
-    for (const match of matches) {
-      if (match[1] && match[1].length > 2) {
-        nutrition.foods.push(match[1].trim());
-      }
+  const parsed = parseRequestBody(event, VOICE_PREFERENCES_SCHEMA);
+  if (parsed.response) {
+    return parsed.response;
+  }
+  const voicePreferences = {};
+  for (const field of ['voiceId', 'dialogueVoiceId']) {
+    if (!parsed.body[field]) continue;
+    const chosen = voices.find(voice => voice.id.toLowerCase() === parsed.body[field].toLowerCase());
+    if (!chosen) {
+      return jsonResponse(400, {
+        error: `${parsed.body[field]} isn't an available neural English voice`,
+        code: 'UnsupportedVoice',
+        fields: [{ field, message: `must be one of ${voices.map(voice => voice.id).join(', ')}` }]
+      });
     }
+    voicePreferences[field] = chosen.id;
   }
+  if (parsed.body.gender) voicePreferences.gender = parsed.body.gender;
+  if (parsed.body.accent) voicePreferences.accent = parsed.body.accent;
   
-  return nutrition;
-}
+  await dynamodb.update({
+    TableName: 'prod-users',
+    Key: { userId },
+    UpdateExpression: 'SET voicePreferences = :prefs',
+    ExpressionAttributeValues: { ':prefs': voicePreferences }
+  }).promise();
+  console.log(`[Voices] ✅ Saved voice preferences for ${userId}: ${JSON.stringify(voicePreferences)}`);
+  
+  return jsonResponse(200, {
+    preference: voicePreferences,
+    current: await resolveVoice({ voicePreferences }, locale)
+  });
+};
 
-// Helper: Extract recommendations from form analysis
-function extractRecommendations(response) {
-  const recommendations = [];
-  const lines = response.split('\n');
+// --- Speech Synthesis ---
+// Polly's synchronous synthesizeSpeech takes at most 3000 billed characters (6000 with SSML tags),
+// which a 10+ minute meditation or story blows through. Long SSML is split at <break/> tags and
+// sentence ends into chunks that are each valid SSML on their own (open prosody tags are closed at
+// the cut and reopened in the next chunk), synthesized a few at a time, and the MP3s joined -
+// MP3 is a plain sequence of frames, so the concatenation plays as one file.
+const POLLY_MAX_BILLED_CHARS = 2800; // Headroom under the 3000 limit
+const POLLY_MAX_SSML_CHARS = 5500; // Headroom under the 6000 limit
+const SSML_MAX_TEXT_RUN = 1000; // Run-on text with no sentence end is cut at a space past this
+const POLLY_CHUNK_CONCURRENCY = 4; // Stays inside Polly's neural TPS limit
+
+const ssmlBilledLength = (ssml) => ssml.replace(/<[^>]+>/g, '').length;
+
+// Places a chunk may be cut: after a <break/>, or after a sentence. Returns units of SSML tokens.
+const splitSSMLUnits = (inner) => {
+  const units = [];
+  let unit = [];
+  const endUnit = () => {
+    if (unit.length > 0) units.push(unit);
+    unit = [];
+  };
   
-  for (const line of lines) {
-    if (/recommend|suggest|should|try|improve|focus/i.test(line) && line.length > 10) {
-      recommendations.push(line.trim());
+  for (const token of inner.match(/<[^>]+>|[^<]+/g) || []) {
+    if (token.startsWith('<')) {
+      unit.push(token);
+      if (/^<break\b/.test(token)) endUnit();
+      continue;
     }
+    const sentences = token.split(/(?<=[.!?]["')\]]?)\s+/);
+    sentences.forEach((sentence, index) => {
+      const isLast = index === sentences.length - 1;
+      let text = isLast ? sentence : `${sentence} `;
+      while (text.length > SSML_MAX_TEXT_RUN) {
+        const cut = text.lastIndexOf(' ', SSML_MAX_TEXT_RUN);
+        const at = cut > 0 ? cut + 1 : SSML_MAX_TEXT_RUN;
+        unit.push(text.substring(0, at));
+        endUnit();
+        text = text.substring(at);
+      }
+      if (text) unit.push(text);
+      if (!isLast || /[.!?]["')\]]?\s*$/.test(text)) endUnit();
+    });
   }
-  
-  return recommendations.length > 0 ? recommendations : [response];
-}
+  endUnit();
+  return units;
+};
 
-// Helper: Extract meal plan from text response (constructs FoodEntry-compatible structure)
-function extractMealPlanFromText(response, days = 7) {
-  const meals = [];
-  const mealTypes = ['breakfast', 'lunch', 'dinner', 'snack'];
-  
-  // Simple extraction - look for meal patterns in response
-  // The AI should ideally return structured JSON, but we parse text as fallback
-  const lines = response.split('\n');
-  let currentMeal = null;
+// Split one <speak> document into several that each fit Polly's limits
+const splitSSML = (ssml) => {
+  const inner = ssml.trim().replace(/^<speak>/, '').replace(/<\/speak>$/, '');
+  const chunks = [];
+  let stack = []; // Open tags at the current position: [{ name, tag }]
+  let current = { open: '', body: '', billed: 0 };
+  
+  const closeTags = (openTags) => openTags.slice().reverse().map(open => `</${open.name}>`).join('');
+  const finish = (openTags) => {
+    if (current.billed > 0) {
+      chunks.push(`<speak>${current.open}${current.body}${closeTags(openTags)}</speak>`);
+    }
+  };
   
-  for (const line of lines) {
-    // Detect meal type
-    for (const mealType of mealTypes) {
-      if (line.toLowerCase().includes(mealType)) {
-        if (currentMeal) meals.push(currentMeal);
-        currentMeal = {
-          mealType: mealType,
-          name: line.trim(),
-          calories: 0,
-          protein: 0,
-          carbs: 0,
-          fat: 0
-        };
-        break;
+  for (const unit of splitSSMLUnits(inner)) {
+    const after = stack.slice();
+    for (const token of unit) {
+      if (token.startsWith('</')) {
+        after.pop();
+      } else if (token.startsWith('<') && !token.endsWith('/>')) {
+        after.push({ name: token.match(/^<([\w:-]+)/)[1], tag: token });
       }
     }
+    const body = unit.join('');
+    const billed = ssmlBilledLength(body);
+    const length = '<speak></speak>'.length + current.open.length + current.body.length + body.length + closeTags(after).length;
     
-    // Extract nutrition if available
-    if (currentMeal) {
-      const calorieMatch = line.match(/(\d+)\s*cal/i);
-      if (calorieMatch) currentMeal.calories = parseInt(calorieMatch[1]);
-      
-      const proteinMatch = line.match(/(\d+(?:\.\d+)?)\s*g\s*pro/i);
-      if (proteinMatch) currentMeal.protein = parseFloat(proteinMatch[1]);
+    if (current.billed > 0 && (current.billed + billed > POLLY_MAX_BILLED_CHARS || length > POLLY_MAX_SSML_CHARS)) {
+      finish(stack);
+      current = { open: stack.map(open => open.tag).join(''), body: '', billed: 0 };
     }
+    current.body += body;
+    current.billed += billed;
+    stack = after;
   }
-  
-  if (currentMeal) meals.push(currentMeal);
-  
-  return meals.length > 0 ? meals : null;
-}
+  finish(stack);
+  return chunks;
+};
 
-// Helper: Extract meal suggestions from text
-function extractMealSuggestionsFromText(response) {
-  const suggestions = [];
-  const lines = response.split('\n');
-  
-  for (const line of lines) {
-    // Look for meal suggestions (usually start with numbers, dashes, or bullet points)
-    if ((/^\d+\.|^[-•*]|^[A-Z][a-z]+/i.test(line.trim()) && line.length > 20) || 
-        /suggest|recommend|you can make|try making/i.test(line)) {
-      suggestions.push(line.trim().replace(/^[-•*\d+\.]\s*/, ''));
+// Drop an ID3v2 header so only MPEG frames are concatenated
+const stripId3 = (buffer) => {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return buffer;
+  const size = ((buffer[6] & 0x7F) << 21) | ((buffer[7] & 0x7F) << 14) | ((buffer[8] & 0x7F) << 7) | (buffer[9] & 0x7F);
+  return buffer.slice(10 + size);
+};
+
+// Run fn over items, at most limit at a time, keeping order
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
     }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// Layer III frame tables, for measuring how long an MP3 actually plays
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+// Playback length of an MP3 in ms, from its frame headers (Polly's bitrate isn't fixed per voice)
+const getMp3DurationMs = (buffer) => {
+  let offset = buffer.length - stripId3(buffer).length;
+  let seconds = 0;
+  while (offset + 4 <= buffer.length) {
+    const b1 = buffer[offset + 1];
+    const b2 = buffer[offset + 2];
+    const version = (b1 >> 3) & 0x03; // 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+    const bitrate = MP3_BITRATES[version === 3 ? 1 : 2][b2 >> 4];
+    const sampleRate = MP3_SAMPLE_RATES[version] && MP3_SAMPLE_RATES[version][(b2 >> 2) & 0x03];
+    if (buffer[offset] !== 0xFF || (b1 & 0xE0) !== 0xE0 || ((b1 >> 1) & 0x03) !== 1 || !bitrate || !sampleRate) {
+      offset += 1; // Not a Layer III frame header - resync
+      continue;
+    }
+    const samples = version === 3 ? 1152 : 576;
+    offset += Math.floor((samples / 8) * bitrate * 1000 / sampleRate) + ((b2 >> 1) & 0x01);
+    seconds += samples / sampleRate;
   }
-  
-  return suggestions.length > 0 ? suggestions.slice(0, 10) : [response];
-}
+  return Math.round(seconds * 1000);
+};
 
-// Helper: Extract recipes from text
-function extractRecipesFromText(response) {
-  // Look for recipe-like patterns (ingredients lists, instructions)
-  const recipes = [];
-  const sections = response.split(/\n{2,}/);
-  
-  for (const section of sections) {
-    if ((/ingredients|recipe|instructions|how to/i.test(section) && section.length > 50)) {
-      recipes.push(section.trim());
+// Polly speech marks (newline-delimited JSON) → [{ time, type, value }]
+const parseSpeechMarks = (stream) => String(Buffer.isBuffer(stream) ? stream.toString('utf8') : stream)
+  .split('\n')
+  .filter(line => line.trim())
+  .map(line => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      return null;
+    }
+  })
+  .filter(Boolean);
+
+// Sentence marks with their words → captions [{ startMs, endMs, text, words: [{ startMs, endMs, text }] }]
+const buildCaptions = (marks, durationMs) => {
+  const clean = (value) => String(value || '').replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+  const sentences = marks.filter(mark => mark.type === 'sentence' && clean(mark.value));
+  const words = marks.filter(mark => mark.type === 'word' && clean(mark.value));
+  
+  return sentences.map((sentence, index) => {
+    const startMs = sentence.time;
+    const endMs = index + 1 < sentences.length ? sentences[index + 1].time : durationMs;
+    const sentenceWords = words.filter(word => word.time >= startMs && word.time < endMs);
+    return {
+      startMs,
+      endMs,
+      text: clean(sentence.value),
+      words: sentenceWords.map((word, wordIndex) => ({
+        startMs: word.time,
+        endMs: wordIndex + 1 < sentenceWords.length ? sentenceWords[wordIndex + 1].time : endMs,
+        text: clean(word.value)
+      }))
+    };
+  });
+};
+
+// Speech parts, each a <speak> document of any length in its own voice ([{ ssml, voiceId }]),
+// played one after another → { audio (one MP3 buffer), durationMs, marks, billed }
+// speechMarks (e.g. ['sentence', 'word']) also fetches Polly's timing marks, shifted onto the joined audio.
+// billed lists every Polly request made ([{ ssml, engine }]) - pass it to recordSpeechUsage once stored
+const synthesizeSpeechParts = async (parts, { engine = 'neural', speechMarks = null } = {}) => {
+  const chunks = parts.flatMap(part => {
+    if (ssmlBilledLength(part.ssml) <= POLLY_MAX_BILLED_CHARS && part.ssml.length <= POLLY_MAX_SSML_CHARS) {
+      return [{ ssml: part.ssml, voiceId: part.voiceId }];
     }
+    const split = splitSSML(part.ssml);
+    console.log(`[Polly] Long SSML (${ssmlBilledLength(part.ssml)} billed chars) split into ${split.length} chunks`);
+    return split.map(ssml => ({ ssml, voiceId: part.voiceId }));
+  });
+  
+  const results = await mapWithConcurrency(chunks, POLLY_CHUNK_CONCURRENCY, async ({ ssml: chunk, voiceId }, index) => {
+    const params = { Text: chunk, TextType: 'ssml', VoiceId: voiceId, Engine: engine };
+    const [data, markData] = await Promise.all([
+      polly.synthesizeSpeech({ ...params, OutputFormat: 'mp3' }).promise(),
+      speechMarks ? polly.synthesizeSpeech({ ...params, OutputFormat: 'json', SpeechMarkTypes: speechMarks }).promise() : null
+    ]);
+    const audio = Buffer.isBuffer(data.AudioStream) ? data.AudioStream : Buffer.from(data.AudioStream);
+    return {
+      audio: index > 0 ? stripId3(audio) : audio,
+      durationMs: getMp3DurationMs(audio),
+      marks: markData ? parseSpeechMarks(markData.AudioStream) : [],
+      billed: markData ? [{ ssml: chunk, engine }, { ssml: chunk, engine }] : [{ ssml: chunk, engine }] // Speech marks are billed like audio
+    };
+  });
+  
+  // Each chunk's marks start at 0 - shift them by the audio that plays before it
+  const marks = [];
+  let offsetMs = 0;
+  for (const result of results) {
+    marks.push(...result.marks.map(mark => ({ ...mark, time: mark.time + offsetMs })));
+    offsetMs += result.durationMs;
   }
   
-  return recipes.length > 0 ? recipes : [];
-}
+  return {
+    audio: Buffer.concat(results.map(result => result.audio)),
+    durationMs: offsetMs,
+    marks,
+    billed: results.flatMap(result => result.billed)
+  };
+};
 
-// Helper: Extract restaurant suggestions
-function extractRestaurantSuggestions(response) {
-  const suggestions = [];
-  const lines = response.split('\n');
-  
-  for (const line of lines) {
-    // Look for restaurant names or recommendations
-    if ((line.length > 10 && line.length < 100) && 
-        (/restaurant|cafe|diner|bistro|grill/i.test(line) || 
-         /^\d+\.|^[-•*]/i.test(line.trim()))) {
-      suggestions.push(line.trim().replace(/^[-•*\d+\.]\s*/, ''));
+// Charge Polly only for audio that was actually stored - a failed upload delivers nothing
+const recordSpeechUsage = (meter, syntheses) => {
+  if (!meter) return;
+  syntheses.forEach(synthesis => synthesis.billed.forEach(({ ssml, engine }) => meter.recordPolly(ssml, engine)));
+};
+
+// One SSML document in one voice
+const synthesizeSSML = (ssml, { voiceId, ...options } = {}) => synthesizeSpeechParts([{ ssml, voiceId }], options);
+
+// --- Meditation Audio Cache ---
+// Audio is stored under a hash of exactly what Polly would be asked to say (SSML + voice + engine),
+// so the same script in the same voice is synthesized once and every later request, replay or
+// favorite reuses the file. The bucket's lifecycle policy expires objects after 7 days; anything
+// close to that age is treated as a miss and re-synthesized, which resets its age.
+// Captions (from Polly speech marks) are stored next to the MP3 as <audioKey>.captions.json.
+const AUDIO_CACHE_PREFIX = 'meditation';
+const AUDIO_CACHE_MAX_AGE_MS = 6 * 24 * 60 * 60 * 1000;
+const AUDIO_URL_TTL_SECONDS = 3600;
+const AUDIO_KEY_PATTERN = /^[a-f0-9]{32}$/;
+
+const getAudioCacheKey = (ssml, voiceId, engine) =>
+  require('crypto').createHash('sha256').update(`${engine}\n${voiceId}\n${ssml}`).digest('hex').substring(0, 32);
+
+const getAudioObjectKey = (audioKey) => `${AUDIO_CACHE_PREFIX}/${audioKey}.mp3`;
+const getCaptionsObjectKey = (audioKey) => `${AUDIO_CACHE_PREFIX}/${audioKey}.captions.json`;
+
+const getAudioBucket = () => {
+  const bucketName = process.env.MEDITATION_AUDIO_BUCKET;
+  if (!bucketName) {
+    console.error('[Polly] ❌ CRITICAL: MEDITATION_AUDIO_BUCKET environment variable not set!');
+    throw new Error('MEDITATION_AUDIO_BUCKET environment variable not set');
+  }
+  return bucketName;
+};
+
+// URLs and metadata for a stored file, in the shape generateMeditationAudio has always returned
+const describeCachedAudio = (bucketName, audioKey, duration, cached, captions = null, voiceId = null) => {
+  const filename = getAudioObjectKey(audioKey);
+  return {
+    audioKey,
+    audioUrl: s3.getSignedUrl('getObject', { Bucket: bucketName, Key: filename, Expires: AUDIO_URL_TTL_SECONDS }),
+    permanentUrl: `https://${bucketName}.s3.amazonaws.com/${filename}`, // If bucket is public or via CloudFront
+    filename,
+    duration,
+    captions,
+    voiceId,
+    cached
+  };
+};
+
+// Stored captions for audioKey (null for audio cached before captions existed)
+const loadCaptions = async (bucketName, audioKey) => {
+  try {
+    const object = await s3.getObject({ Bucket: bucketName, Key: getCaptionsObjectKey(audioKey) }).promise();
+    return JSON.parse(object.Body.toString('utf8')).captions || null;
+  } catch (error) {
+    if (error.code !== 'NoSuchKey' && error.statusCode !== 404) {
+      console.error(`[AudioCache] Could not load captions for ${audioKey}:`, error.message);
+    }
+    return null;
+  }
+};
+
+// The stored file for audioKey, or null if it was never made or is about to expire
+const findCachedAudio = async (bucketName, audioKey) => {
+  try {
+    const head = await s3.headObject({ Bucket: bucketName, Key: getAudioObjectKey(audioKey) }).promise();
+    if (head.LastModified && Date.now() - new Date(head.LastModified).getTime() > AUDIO_CACHE_MAX_AGE_MS) {
+      console.log(`[AudioCache] ${audioKey} is near expiry, re-synthesizing`);
+      return null;
     }
+    console.log(`[AudioCache] ✅ Hit: ${audioKey}`);
+    const captions = await loadCaptions(bucketName, audioKey);
+    return describeCachedAudio(bucketName, audioKey, parseInt(head.Metadata?.duration, 10) || null, true, captions, head.Metadata?.voice || null);
+  } catch (error) {
+    if (error.code === 'NotFound' || error.statusCode === 404) {
+      console.log(`[AudioCache] Miss: ${audioKey}`);
+      return null;
+    }
+    throw error;
   }
+};
+
+// Exactly what would be sent to Polly for a meditation script
+// voiceId comes from resolveVoice - the same voice for every focus, including motivation
+const buildMeditationSpeech = (script, focus = 'stress', voiceId = DEFAULT_VOICE_ID) => {
+  // Convert script to natural SSML with intelligent sentence segmentation, wrapped in a speak tag
+  const ssml = `<speak>${convertToSSML(script, focus)}</speak>`;
   
-  return suggestions.slice(0, 10);
-}
+  // Neural engine with prosody for best quality, natural pace
+  return { ssml, voiceId, engine: 'neural' };
+};
 
-// Helper: Extract workout session from AI response
-function extractWorkoutSession(response, query) {
-  // Try to extract JSON first
-  const jsonMatch = response.match(/\{[\s\S]*"name"[\s\S]*"movements"[\s\S]*\}/);
-  if (jsonMatch) {
+// Generate meditation audio using Amazon Polly (or reuse the stored file for the same speech)
+// A voice Polly rejects falls back to the default voice rather than to device TTS
+async function generateMeditationAudio(script, focus = 'stress', meter = null, voiceId = DEFAULT_VOICE_ID) {
+  try {
+    const bucketName = getAudioBucket();
     try {
-      const parsed = JSON.parse(jsonMatch[0]);
-      if (parsed.name && parsed.movements && Array.isArray(parsed.movements)) {
-        return parsed;
-      }
-    } catch (e) {
-      console.log('[ACTION] Could not parse workout session JSON, parsing from text');
+      return await storeMeditationAudio(bucketName, script, focus, voiceId, meter);
+    } catch (error) {
+      if (voiceId === DEFAULT_VOICE_ID || !isVoiceRejected(error)) throw error;
+      console.log(`[Polly] ⚠️ Voice ${voiceId} rejected (${error.code}: ${error.message}), retrying with ${DEFAULT_VOICE_ID}`);
+      return await storeMeditationAudio(bucketName, script, focus, DEFAULT_VOICE_ID, meter);
     }
+  } catch (error) {
+    console.error('[Polly] Error generating audio:', error);
+    console.error('[Polly] Error details:', JSON.stringify({
+      message: error.message,
+      code: error.code,
+      statusCode: error.statusCode
+    }));
+    // Return null on error - fallback to iOS TTS
+    return null;
   }
+}
+
+// Cache lookup, else synthesize and store - throws on Polly/S3 errors
+// parts is [{ ssml, voiceId }] (one part unless a story has dialogue voices); the first part's voice is reported
+const storeSpeechAudio = async (bucketName, parts, { engine = 'neural', meter = null, estimatedDuration = null } = {}) => {
+  const voiceId = parts[0].voiceId;
+  const audioKey = parts.length === 1
+    ? getAudioCacheKey(parts[0].ssml, voiceId, engine)
+    : getAudioCacheKey(parts.map(part => `${part.voiceId}\n${part.ssml}`).join('\n'), voiceId, engine);
+  console.log(`[Polly] ${parts.length} part(s), voice ${parts.map(part => part.voiceId).filter((id, i, ids) => ids.indexOf(id) === i).join('+')}, SSML length: ${parts.reduce((sum, part) => sum + part.ssml.length, 0)} chars, key: ${audioKey}`);
+  
+  const cachedAudio = await findCachedAudio(bucketName, audioKey);
+  if (cachedAudio) {
+    return cachedAudio; // No Polly call, nothing metered
+  }
+  
+  // Chunked when the script is too long for a single Polly call; speech marks drive the captions
+  const synthesis = await synthesizeSpeechParts(parts, { engine, speechMarks: ['sentence', 'word'] });
+  console.log(`[Polly] ✅ Polly synthesis successful, ${synthesis.audio.length} bytes, ${synthesis.durationMs}ms, ${synthesis.marks.length} speech marks`);
+  const audioData = await storeSynthesizedAudio(bucketName, audioKey, synthesis, { voiceId, engine, estimatedDuration });
+  recordSpeechUsage(meter, [synthesis]);
+  return audioData;
+};
+
+// Upload synthesized speech ({ audio, durationMs, marks }) and its captions under audioKey
+const storeSynthesizedAudio = async (bucketName, audioKey, { audio, durationMs, marks }, { voiceId, engine = 'neural', estimatedDuration = null } = {}) => {
+  // Measured from the MP3 frames; the caller's estimate only if the audio couldn't be parsed
+  const duration = durationMs > 0 ? Math.round(durationMs / 1000) : estimatedDuration;
+  const captions = buildCaptions(marks, durationMs || (duration || 0) * 1000);
+  const filename = getAudioObjectKey(audioKey);
+  console.log(`[Polly] Uploading to S3 bucket: ${bucketName}, key: ${filename}`);
   
-  // Parse from text response - extract structured data
-  const session = {
-    name: null,
-    description: null,
-    difficulty: 'intermediate',
-    equipmentNeeded: false,
-    tags: [],
-    movements: []
-  };
+  try {
+    await s3.putObject({
+      Bucket: bucketName,
+      Key: filename,
+      Body: audio,
+      ContentType: 'audio/mpeg',
+      CacheControl: 'max-age=604800', // Cache for 7 days (matches lifecycle policy)
+      Metadata: { duration: String(duration), durationms: String(durationMs), voice: voiceId, engine }
+    }).promise();
+    
+    console.log(`[Polly] ✅ Audio uploaded to S3: ${filename}`);
+  } catch (s3Error) {
+    console.error(`[Polly] ❌ S3 upload failed:`, s3Error);
+    throw new Error(`S3 upload failed: ${s3Error.message}`);
+  }
   
-  // Extract session name - look for title/header
-  const namePatterns = [
-    /(?:session|workout):\s*\*\*?([^*\n]{5,60})\*\*?/i,
-    /^#+\s*([^\n]{5,60})/m,
-    /(?:^|\n)\*\*?([A-Z][^\n*]{5,60})\*\*?:/m
-  ];
+  // Captions are nice-to-have - the audio is still delivered if storing them fails
+  try {
+    await s3.putObject({
+      Bucket: bucketName,
+      Key: getCaptionsObjectKey(audioKey),
+      Body: JSON.stringify({ durationMs, captions }),
+      ContentType: 'application/json',
+      CacheControl: 'max-age=604800'
+    }).promise();
+    console.log(`[Polly] ✅ ${captions.length} captions stored`);
+  } catch (s3Error) {
+    console.error(`[Polly] ⚠️ Could not store captions:`, s3Error.message);
+  }
   
-  for (const pattern of namePatterns) {
-    const match = response.match(pattern);
-    if (match && match[1]) {
-      session.name = match[1].trim().replace(/^#+\s*/, '');
-      break;
-    }
+  return describeCachedAudio(bucketName, audioKey, duration, false, captions, voiceId);
+};
+
+const storeMeditationAudio = (bucketName, script, focus, voiceId, meter) => {
+  const { ssml, engine } = buildMeditationSpeech(script, focus, voiceId);
+  console.log(`[Polly] Meditation for focus: ${focus}, script length: ${script.length} chars`);
+  return storeSpeechAudio(bucketName, [{ ssml, voiceId }], {
+    engine,
+    meter,
+    estimatedDuration: Math.ceil(script.length / 10) // Rough estimate: 10 chars per second
+  });
+};
+
+const MAX_MEDITATION_SCRIPT_LENGTH = 20000;
+
+const MEDITATION_AUDIO_REQUEST_SCHEMA = {
+  audioKey: { type: 'string', pattern: AUDIO_KEY_PATTERN }, // From a meditation action's audioKey
+  script: { type: 'string', trim: true, minLength: 1, maxLength: MAX_MEDITATION_SCRIPT_LENGTH },
+  focus: { type: 'string', maxLength: 64 },
+  locale: { type: 'string', maxLength: 64 }, // Picks the accent when the user hasn't chosen a voice
+  ambientSoundType: { type: 'string', oneOf: MIXABLE_AMBIENT_TYPES } // Also return a mixedAudioUrl with this bed
+};
+
+// Replays and favorites: audio for a script the user already has. A stored file costs nothing;
+// only a script that has to be (re-)synthesized is charged, for its Polly characters.
+const handleMeditationAudioRoute = async (event, userId) => {
+  const parsed = parseRequestBody(event, MEDITATION_AUDIO_REQUEST_SCHEMA);
+  if (parsed.response) {
+    return parsed.response;
+  }
+  const { audioKey, script } = parsed.body;
+  const focus = parsed.body.focus || 'stress';
+  if (!audioKey && !script) {
+    return jsonResponse(400, {
+      error: 'Invalid request: send audioKey or script',
+      code: 'ValidationFailed',
+      fields: [{ field: 'script', message: 'is required when audioKey is not given' }]
+    });
   }
+  const bucketName = getAudioBucket();
+  // Mixing costs no tokens - only the Polly synthesis is charged
+  const withMix = async (audioData) => parsed.body.ambientSoundType
+    ? { ...audioData, ...(await mixAmbientAudio(bucketName, audioData, parsed.body.ambientSoundType) || { mixedAudioUrl: null }) }
+    : audioData;
   
-  // If no name found, generate from query
-  if (!session.name) {
-    const queryMatch = query.match(/(?:create|make|new).*(?:session|workout|leg day|arm day|chest day|back day|full body|upper body|lower body)\s+(?:for|to|that|which|strengthen|target|focus|help|can do|in an hour)?\s*(.+)/i);
-    if (queryMatch && queryMatch[1]) {
-      session.name = queryMatch[1].trim().substring(0, 60);
-    } else {
-      session.name = 'Workout Session';
+  if (audioKey) {
+    const cachedAudio = await findCachedAudio(bucketName, audioKey);
+    if (cachedAudio) {
+      return jsonResponse(200, { ...await withMix(cachedAudio), tokensUsed: 0 });
+    }
+    if (!script) {
+      return jsonResponse(404, { error: 'This audio has expired - send the script to regenerate it', code: 'AudioExpired' });
     }
   }
   
-  // Extract description (first paragraph, before exercises)
-  const descMatch = response.match(/(?:description|overview|summary):\s*(.+?)(?:\n\n|\n(?:###|##|#|\d+\.|[-•*]|Warm|Main|Cool))/is) ||
-                    response.split(/\n{2,}/)[0];
-  if (descMatch) {
-    session.description = (typeof descMatch === 'string' ? descMatch : descMatch[1]).trim();
-    // Remove markdown formatting
-    session.description = session.description.replace(/\*\*|__|#+\s*/g, '').trim();
+  // The user's current voice - a favorite replays in whatever voice they've since chosen
+  const voice = await resolveVoice(await getUserProfile(userId), parsed.body.locale);
+  const speech = buildMeditationSpeech(script, focus, voice.id);
+  const speechKey = getAudioCacheKey(speech.ssml, speech.voiceId, speech.engine);
+  if (speechKey !== audioKey) {
+    const cachedAudio = await findCachedAudio(bucketName, speechKey);
+    if (cachedAudio) {
+      return jsonResponse(200, { ...await withMix(cachedAudio), tokensUsed: 0 });
+    }
   }
   
-  // Extract difficulty
-  const difficultyMatch = response.match(/\b(beginner|intermediate|advanced|expert)\b/i);
-  if (difficultyMatch) {
-    session.difficulty = difficultyMatch[1].toLowerCase();
+  // Needs Polly - make sure the balance covers it first
+  const estimate = createUsageMeter();
+  estimate.recordPolly(speech.ssml, speech.engine);
+  estimate.recordPolly(speech.ssml, speech.engine); // Caption speech marks
+  const requiredTokens = estimate.summarize().total;
+  const tokenBalance = await getTokenBalance(userId);
+  if (tokenBalance < requiredTokens) {
+    return buildInsufficientTokensResponse(requiredTokens, tokenBalance, { handler: 'polly', tier: null });
   }
   
-  // Check for equipment needs
-  session.equipmentNeeded = /\b(equipment|machine|barbell|dumbbell|weights|gym|bench|step|foam roller)\b/i.test(response);
-  
-  // Extract movements - look for exercise patterns
-  // Skip headers, tips, equipment lists, etc.
-  const exercisePatterns = [
-    /\d+\.\s*\*\*?([^*\n]{5,50})\*\*?[:\s]*(\d+)\s*(?:sets?|x)[\s,]*(\d+(?:-\d+)?)\s*(?:reps?|rep)/gi,
-    /\d+\.\s*\*\*?([^*\n]{5,50})\*\*?[:\s]*(\d+(?:\.\d+)?)\s*(?:seconds?|sec|s|minutes?|min)/gi,
-    /\*\*?([A-Z][^*\n]{5,50})\*\*?[:\s]*(\d+)\s*(?:sets?|x)[\s,]*(\d+(?:-\d+)?)\s*(?:reps?|rep)/gi,
-    /\*\*?([A-Z][^*\n]{5,50})\*\*?[:\s]*(\d+(?:\.\d+)?)\s*(?:seconds?|sec|s|minutes?|min)/gi
-  ];
+  const meter = createUsageMeter();
+  const audioData = await generateMeditationAudio(script, focus, meter, voice.id);
+  if (!audioData) {
+    return jsonResponse(500, { error: 'Audio could not be generated - play the script with on-device speech instead' });
+  }
   
-  const seenMovements = new Set();
+  const requestId = getRequestId(event);
+  const usageBreakdown = meter.summarize();
+  let tokensUsed = usageBreakdown.total; // 0 if another request stored it in the meantime
+  let balance = tokenBalance;
+  if (tokensUsed > 0) {
+    try {
+      balance = (await deductTokens(userId, tokensUsed, { requestId, reason: 'meditation_audio' })).balance;
+    } catch (error) {
+      if (error.code !== 'InsufficientTokens') throw error;
+      console.log(`[AudioCache] ⚠️ Balance no longer covers ${tokensUsed} tokens, absorbing it`);
+      tokensUsed = 0;
+    }
+    await logUsage(userId, {
+      query: `[meditation audio] ${script.substring(0, 100)}`,
+      tier: null,
+      tokens: tokensUsed,
+      cost: 0,
+      handler: 'polly',
+      pollyCharacters: usageBreakdown.polly.characters,
+      actionType: 'meditation_audio',
+      requestId,
+      timestamp: Date.now()
+    });
+  }
+  console.log(`[AudioCache] ✅ Audio ${audioData.audioKey} ready (${audioData.cached ? 'cached' : 'synthesized'}), ${tokensUsed} tokens`);
   
-  for (const pattern of exercisePatterns) {
-    const matches = response.matchAll(pattern);
-    for (const match of matches) {
-      const movementName = match[1]?.trim();
-      if (movementName && 
-          movementName.length > 5 && 
-          movementName.length < 100 &&
-          !seenMovements.has(movementName.toLowerCase()) &&
-          !movementName.match(/^(Warm|Main|Cool|Equipment|Tips|Duration|Frequency|Session|Workout|Dynamic|Static|Foam|Bodyweight|Strengthening|Knee|Leg|Arm|Chest|Back|Focus|Gradual|Listen)/i)) {
-        
-        seenMovements.add(movementName.toLowerCase());
-        
-        // Determine if timed or rep-based
-        const isTimed = /seconds?|sec|s|minutes?|min|hold/i.test(match[0]);
-        const setsCount = match[2] ? parseInt(match[2]) : 3;
-        const repsOrSec = match[3] ? match[3] : (isTimed ? '60' : '10');
-        
-        // Create sets
-        const sets = [];
-        for (let i = 0; i < setsCount; i++) {
-          if (isTimed) {
-            const seconds = repsOrSec.includes('min') ? parseFloat(repsOrSec) * 60 : parseFloat(repsOrSec);
-            sets.push({
-              weight: null,
-              reps: null,
-              sec: String(Math.round(seconds)),
-              isTimed: true
-            });
-          } else {
-            sets.push({
-              weight: null,
-              reps: String(repsOrSec),
-              sec: null,
-              isTimed: false
-            });
-          }
+  return jsonResponse(200, { ...await withMix(audioData), tokensUsed, balance });
+};
+
+// --- Meditation Timing ---
+// A "15 minute meditation" should play for 15 minutes. The script is planned as five segments with
+// target times, each segment is synthesized and measured, and if the whole comes up short the
+// model is asked to extend the segments that ran shortest (only the new lines are synthesized).
+// Whatever gap is left is padded with silence at the end of the short segments, up to a share of
+// the total - past that it would feel abandoned, so the meditation is delivered short instead.
+// Long scripts are never cut. The padding is written back into the script as [PAUSE: Xs] markers,
+// so a replay of the script produces the same timing. A script that's already stored is reused
+// as-is, segments the model never got to (a cut-off script) are written in the first extension
+// round, and further extension rounds only start inside MEDITATION_EXTENSION_BUDGET_MS.
+const MEDITATION_SEGMENTS = [
+  { name: 'arrival', title: 'Arrival', share: 0.1, guidance: 'settle in, get comfortable, arrive in this moment' },
+  { name: 'breath', title: 'Breath', share: 0.2, guidance: 'guided breathing with counts and long pauses' },
+  { name: 'body_scan', title: 'Body scan', share: 0.3, guidance: 'move attention slowly through the body, releasing tension' },
+  { name: 'visualization', title: 'Visualization', share: 0.25, guidance: 'imagery and contemplation for the focus of the meditation' },
+  { name: 'closing', title: 'Closing', share: 0.15, guidance: 'gently return, set an intention, open the eyes' }
+];
+const MEDITATION_TIMING_TOLERANCE = 0.05; // ±5% of the requested length...
+const MEDITATION_MIN_TOLERANCE_SECONDS = 15; // ...but never tighter than 15s
+const MEDITATION_MAX_PAD_SHARE = 0.3;
+const MEDITATION_MAX_EXTENSION_ROUNDS = 2;
+const MEDITATION_WORDS_PER_SECOND = 1.1; // Planning rate (words per second, pauses included) - extensions use the measured one
+const MEDITATION_EXTENSION_BUDGET_MS = 15 * 1000; // From the start of synthesis; missing segments are written regardless
+const MEDITATION_TOKENS_PER_WORD = 2; // Output tokens per spoken word, counting the [PAUSE] and [SEGMENT] markers
+const MEDITATION_MAX_OUTPUT_TOKENS = 10000; // Nova Pro's output limit
+const SILENCE_PART_SECONDS = 60;
+
+// [{ name, title, guidance, startSeconds, targetSeconds }] for a meditation of durationMinutes
+const planMeditationSegments = (durationMinutes) => {
+  const totalSeconds = Math.round(durationMinutes * 60);
+  let startSeconds = 0;
+  return MEDITATION_SEGMENTS.map((segment, index) => {
+    const targetSeconds = index === MEDITATION_SEGMENTS.length - 1
+      ? totalSeconds - startSeconds // Rounding leftovers go to the closing
+      : Math.round(totalSeconds * segment.share);
+    const planned = { name: segment.name, title: segment.title, guidance: segment.guidance, startSeconds, targetSeconds };
+    startSeconds += targetSeconds;
+    return planned;
+  });
+};
+
+// Output budget for a script (or extension) of about this many words, within the model's limit
+const getMeditationMaxTokens = (words, minimum = 1500) =>
+  Math.min(MEDITATION_MAX_OUTPUT_TOKENS, Math.max(minimum, Math.ceil(words * MEDITATION_TOKENS_PER_WORD) + 300));
+
+const formatClock = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
+
+// Segment plan for the meditation prompt
+const formatSegmentPlan = (plan) => plan.map(segment =>
+  `[SEGMENT: ${segment.name}] ${formatClock(segment.startSeconds)}-${formatClock(segment.startSeconds + segment.targetSeconds)} (about ${Math.round(segment.targetSeconds * MEDITATION_WORDS_PER_SECOND)} words): ${segment.guidance}`
+).join('\n');
+
+// Raw model text → { name: text } by [SEGMENT: name] marker; text before the first marker goes to
+// leading (null drops it)
+const parseSegmentMarkers = (text, names, leading = names[0]) => {
+  const sections = {};
+  let current = leading;
+  text.split(/^\s*\[SEGMENT:\s*([a-z_ ]+)\]\s*$/gim).forEach((piece, index) => {
+    if (index % 2 === 1) {
+      const name = piece.trim().toLowerCase().replace(/\s+/g, '_');
+      current = names.includes(name) ? name : current;
+      return;
+    }
+    if (current && piece.trim()) {
+      sections[current] = sections[current] ? `${sections[current]}\n\n${piece.trim()}` : piece.trim();
+    }
+  });
+  return sections;
+};
+
+// Model script → the plan's segments with cleaned text. Without markers the whole script is one
+// segment carrying the full target. Segments the model never wrote are kept with empty text.
+const splitMeditationSegments = (rawScript, plan) => {
+  const names = plan.map(segment => segment.name);
+  if (!/\[SEGMENT:/i.test(rawScript)) {
+    const targetSeconds = plan.reduce((sum, segment) => sum + segment.targetSeconds, 0);
+    return [{ name: 'meditation', title: 'Meditation', startSeconds: 0, targetSeconds, text: cleanMeditationScript(rawScript) }];
+  }
+  const sections = parseSegmentMarkers(rawScript, names);
+  return plan.map(segment => ({ ...segment, text: cleanMeditationScript(sections[segment.name] || '') }));
+};
+
+const joinMeditationSegments = (segments) => segments.filter(segment => segment.text).map(segment => segment.text).join('\n\n');
+
+// Ask the model for more lines for the segments that ran short, or the whole text of segments
+// that are missing. requests: [{ name, title, guidance, words, text }] → { name: cleaned text }
+const requestMeditationExtension = async (requests, { focus, modelId, meter }) => {
+  const prompt = `Some segments of a ${focus} meditation ran short when read aloud, and some may not have been written yet. For a segment that ran short, write ONLY the additional spoken lines that continue naturally from where it ends - same voice, same calm pace, no repetition, no new greeting or closing. For a missing segment, write the whole segment following its guidance. Include [PAUSE: X seconds] markers after each instruction. Start each one with its marker line exactly as shown.
+
+${requests.map(request => request.text
+    ? `[SEGMENT: ${request.name}] about ${request.words} more words. It currently ends: "${request.text.slice(-300)}"`
+    : `[SEGMENT: ${request.name}] missing - write about ${request.words} words: ${request.guidance}`).join('\n\n')}`;
+  
+  const response = await converseModel({
+    modelId,
+    messages: [{ role: 'user', content: [{ text: prompt }] }],
+    system: [{ text: 'You write guided meditation scripts that are spoken aloud. Respond with only the spoken text and the segment marker lines.' }],
+    inferenceConfig: { maxTokens: getMeditationMaxTokens(requests.reduce((sum, request) => sum + request.words, 0), 2000), temperature: 0.8 }
+  }, null, meter);
+  const text = response.output.message.content.filter(block => block.text).map(block => block.text).join('\n');
+  const sections = parseSegmentMarkers(text, requests.map(request => request.name), null); // Drop any preamble
+  return Object.fromEntries(Object.entries(sections).map(([name, section]) => [name, cleanMeditationScript(section)]).filter(([, section]) => section));
+};
+
+// Synthesize, measure, extend and pad the segments to the planned length, then store the result
+// Returns { audioData, script, timing } - throws on Polly/S3 errors
+const storeTimedMeditationAudio = async (bucketName, segments, { focus, voiceId, meter, modelId, targetSeconds }) => {
+  const engine = 'neural';
+  const toleranceSeconds = Math.max(MEDITATION_MIN_TOLERANCE_SECONDS, targetSeconds * MEDITATION_TIMING_TOLERANCE);
+  const maxPadSeconds = targetSeconds * MEDITATION_MAX_PAD_SHARE;
+  const syntheses = []; // Metered only once the finished track is stored
+  const synthesize = async (parts, options) => {
+    const synthesis = await synthesizeSpeechParts(parts, { engine, ...options });
+    syntheses.push(synthesis);
+    return synthesis;
+  };
+  const speak = (text) => synthesize([{ ssml: `<speak>${convertToSSML(text, focus)}</speak>`, voiceId }], { speechMarks: ['sentence', 'word'] });
+  const segmentSeconds = (pieces) => pieces.reduce((sum, piece) => sum + piece.durationMs, 0) / 1000;
+  const countWords = (text) => text.replace(/\[PAUSE:[^\]]*\]/gi, ' ').split(/\s+/).filter(Boolean).length;
+  const startedAt = Date.now();
+  
+  // The same script stored before (a repeat, or a replay of it) - no Polly, nothing to time.
+  // Only if it fits this target: the same script may have been stored for a different length
+  const written = joinMeditationSegments(segments);
+  if (segments.every(segment => segment.text)) {
+    const speech = buildMeditationSpeech(written, focus, voiceId);
+    const cachedAudio = await findCachedAudio(bucketName, getAudioCacheKey(speech.ssml, speech.voiceId, speech.engine));
+    const measured = cachedAudio ? cachedAudio.duration || 0 : 0;
+    if (cachedAudio && Math.abs(measured - targetSeconds) > toleranceSeconds) {
+      console.log(`[MeditationTiming] Stored audio is ${measured}s, outside ${targetSeconds}s ±${Math.round(toleranceSeconds)}s - timing it again`);
+    } else if (cachedAudio) {
+      return {
+        audioData: cachedAudio,
+        script: written,
+        timing: {
+          targetSeconds,
+          measuredSeconds: measured,
+          toleranceSeconds: Math.round(toleranceSeconds),
+          withinTolerance: true,
+          paddedSeconds: 0,
+          extensionRounds: 0,
+          segments: null // Not known for stored audio
         }
-        
-        session.movements.push({
-          movement1Name: movementName,
-          movement2Name: null,
-          isSingle: true,
-          isTimed: isTimed,
-          category: null,
-          difficulty: session.difficulty,
-          description: null,
-          firstSectionSets: sets
-        });
-      }
+      };
     }
   }
   
-  // If no movements found with patterns, try simpler extraction
-  if (session.movements.length === 0) {
-    const lines = response.split('\n');
-    for (const line of lines) {
-      // Look for exercise names (capitalized, 5-50 chars, not headers)
-      if (/^\d+\.\s*\*\*?([A-Z][^*\n]{5,50})\*\*?/i.test(line)) {
-        const match = line.match(/^\d+\.\s*\*\*?([^*\n]{5,50})\*\*?/i);
-        if (match && match[1]) {
-          const movementName = match[1].trim();
-          if (!movementName.match(/^(Warm|Main|Cool|Equipment|Tips|Duration|Frequency)/i)) {
-            session.movements.push({
-              movement1Name: movementName,
-              movement2Name: null,
-              isSingle: true,
-              isTimed: false,
-              category: null,
-              difficulty: session.difficulty,
-              description: null,
-              firstSectionSets: [
-                { weight: null, reps: '10', sec: null, isTimed: false },
-                { weight: null, reps: '10', sec: null, isTimed: false },
-                { weight: null, reps: '10', sec: null, isTimed: false }
-              ]
-            });
-          }
-        }
+  // Measure each segment as actually spoken
+  segments = segments.map(segment => ({ ...segment }));
+  let pieces = await mapWithConcurrency(segments, 2, async (segment) => segment.text ? [await speak(segment.text)] : []);
+  let measuredSeconds = pieces.reduce((sum, segmentPieces) => sum + segmentSeconds(segmentPieces), 0);
+  console.log(`[MeditationTiming] Measured ${Math.round(measuredSeconds)}s of ${targetSeconds}s target (±${Math.round(toleranceSeconds)}s)`);
+  const measurable = measuredSeconds > 0; // Frames that can't be parsed mean nothing to steer by - deliver as written
+  if (!measurable) {
+    console.log(`[MeditationTiming] ⚠️ Audio length couldn't be measured, skipping extension and padding`);
+  }
+  
+  // Too short for silence alone (or a segment never got written) - ask for more words where the
+  // segments fell furthest behind
+  let extensionRounds = 0;
+  const hasMissing = () => segments.some(segment => !segment.text);
+  while (measurable && (hasMissing() || targetSeconds - measuredSeconds > maxPadSeconds) && extensionRounds < MEDITATION_MAX_EXTENSION_ROUNDS && modelId) {
+    if (!hasMissing() && Date.now() - startedAt > MEDITATION_EXTENSION_BUDGET_MS) {
+      console.log(`[MeditationTiming] ⏱️ Out of time for another extension round after ${Date.now() - startedAt}ms`);
+      break;
+    }
+    extensionRounds++;
+    const shortfall = Math.max(0, targetSeconds - measuredSeconds);
+    // This voice and script's actual pace, so the extension lands near the target instead of past it
+    const wordsPerSecond = segments.reduce((sum, segment) => sum + countWords(segment.text), 0) / measuredSeconds || MEDITATION_WORDS_PER_SECOND;
+    const deficits = segments.map((segment, index) => Math.max(0, segment.targetSeconds - segmentSeconds(pieces[index])));
+    const totalDeficit = deficits.reduce((sum, deficit) => sum + deficit, 0) || 1;
+    const requests = segments
+      .map((segment, index) => ({
+        name: segment.name,
+        title: segment.title,
+        guidance: segment.guidance,
+        text: segment.text,
+        seconds: segment.text ? shortfall * deficits[index] / totalDeficit : segment.targetSeconds // A missing segment is written in full
+      }))
+      .filter(request => !request.text || request.seconds >= MEDITATION_MIN_TOLERANCE_SECONDS)
+      .map(request => ({ ...request, words: Math.max(1, Math.round(request.seconds * wordsPerSecond)) }));
+    if (requests.length === 0) break;
+    
+    console.log(`[MeditationTiming] Round ${extensionRounds}: ${Math.round(shortfall)}s short, ${requests.map(request => `${request.text ? 'extending' : 'writing'} ${request.name} +${Math.round(request.seconds)}s`).join(', ')}`);
+    let extensions = {};
+    try {
+      extensions = await requestMeditationExtension(requests, { focus, modelId, meter });
+    } catch (error) {
+      console.error(`[MeditationTiming] ⚠️ Extension request failed:`, error.message);
+      break;
+    }
+    const extended = Object.keys(extensions);
+    if (extended.length === 0) break;
+    await mapWithConcurrency(extended, 2, async (name) => {
+      const index = segments.findIndex(segment => segment.name === name);
+      pieces[index].push(await speak(extensions[name]));
+      segments[index].text = segments[index].text ? `${segments[index].text}\n\n${extensions[name]}` : extensions[name];
+    });
+    measuredSeconds = pieces.reduce((sum, segmentPieces) => sum + segmentSeconds(segmentPieces), 0);
+  }
+  // Anything still unwritten is left out rather than padded with silence
+  const kept = segments.map(segment => !!segment.text);
+  segments = segments.filter((segment, index) => kept[index]);
+  pieces = pieces.filter((segmentPieces, index) => kept[index]);
+  
+  // Fill what's left with silence after the short segments (within the padding budget)
+  const gapSeconds = targetSeconds - measuredSeconds;
+  let paddedSeconds = 0;
+  if (measurable && gapSeconds > 1) {
+    const padBudget = Math.min(gapSeconds, maxPadSeconds);
+    const deficits = segments.map((segment, index) => Math.max(0, segment.targetSeconds - segmentSeconds(pieces[index])));
+    const totalDeficit = deficits.reduce((sum, deficit) => sum + deficit, 0);
+    await mapWithConcurrency(segments, 2, async (segment, index) => {
+      // Silence goes where the plan had time left; if every segment is on time, before the closing
+      const share = totalDeficit > 0 ? deficits[index] / totalDeficit : (index === segments.length - 2 || segments.length === 1 ? 1 : 0);
+      const seconds = Math.round(padBudget * share);
+      if (seconds < 1) return;
+      const parts = [];
+      for (let left = seconds; left > 0; left -= SILENCE_PART_SECONDS) {
+        parts.push({ ssml: `<speak>${pauseToBreaks(Math.min(left, SILENCE_PART_SECONDS))}</speak>`, voiceId });
       }
+      pieces[index].push(await synthesize(parts)); // Breaks aren't billed
+      segment.text = `${segment.text} [PAUSE: ${seconds}s]`;
+      paddedSeconds += seconds;
+    });
+    measuredSeconds = pieces.reduce((sum, segmentPieces) => sum + segmentSeconds(segmentPieces), 0);
+  }
+  
+  // One track: segment by segment, marks shifted by everything that plays before them
+  const audio = [];
+  const marks = [];
+  const segmentTimings = [];
+  let offsetMs = 0;
+  segments.forEach((segment, index) => {
+    const startMs = offsetMs;
+    pieces[index].forEach(piece => {
+      audio.push(audio.length > 0 ? stripId3(piece.audio) : piece.audio);
+      marks.push(...piece.marks.map(mark => ({ ...mark, time: mark.time + offsetMs })));
+      offsetMs += piece.durationMs;
+    });
+    segmentTimings.push({ name: segment.name, title: segment.title, targetSeconds: segment.targetSeconds, startMs, durationMs: offsetMs - startMs });
+  });
+  
+  const script = joinMeditationSegments(segments);
+  const speech = buildMeditationSpeech(script, focus, voiceId);
+  const audioKey = getAudioCacheKey(speech.ssml, speech.voiceId, speech.engine); // So a replay of this script finds it
+  const audioData = await storeSynthesizedAudio(bucketName, audioKey, { audio: Buffer.concat(audio), durationMs: offsetMs, marks }, {
+    voiceId,
+    engine,
+    estimatedDuration: Math.round(measuredSeconds)
+  });
+  recordSpeechUsage(meter, syntheses);
+  
+  const timing = {
+    targetSeconds,
+    measuredSeconds: Math.round(offsetMs / 1000),
+    toleranceSeconds: Math.round(toleranceSeconds),
+    withinTolerance: Math.abs(offsetMs / 1000 - targetSeconds) <= toleranceSeconds,
+    paddedSeconds,
+    extensionRounds,
+    segments: segmentTimings
+  };
+  console.log(`[MeditationTiming] ${timing.withinTolerance ? '✅' : '⚠️'} ${timing.measuredSeconds}s for a ${targetSeconds}s target (${paddedSeconds}s padding, ${extensionRounds} extension round(s))`);
+  return { audioData, script, timing };
+};
+
+// Duration-accurate meditation audio - null on failure (device TTS plays the script instead)
+// A voice Polly rejects falls back to the default voice
+async function generateTimedMeditationAudio(segments, { durationMinutes, focus = 'stress', voiceId = DEFAULT_VOICE_ID, meter = null, modelId = null }) {
+  try {
+    const bucketName = getAudioBucket();
+    const options = { focus, voiceId, meter, modelId, targetSeconds: Math.round(durationMinutes * 60) };
+    try {
+      return await storeTimedMeditationAudio(bucketName, segments, options);
+    } catch (error) {
+      if (voiceId === DEFAULT_VOICE_ID || !isVoiceRejected(error)) throw error;
+      console.log(`[MeditationTiming] ⚠️ Voice ${voiceId} rejected (${error.code}: ${error.message}), retrying with ${DEFAULT_VOICE_ID}`);
+      return await storeTimedMeditationAudio(bucketName, segments, { ...options, voiceId: DEFAULT_VOICE_ID });
     }
+  } catch (error) {
+    console.error('[MeditationTiming] Error generating audio:', error.message, error.code || '');
+    return null;
   }
-  
-  return session;
 }
 
-// Helper: Extract food preferences from query
-function extractFoodPreferences(query) {
-  const preferences = {
-    likes: [],
-    dislikes: [],
-    allergies: [],
-    restrictions: []
-  };
-  
-  // Extract allergies
-  const allergyMatch = query.match(/(?:allergic|allergy) to\s+([^.]+)/i);
-  if (allergyMatch) {
-    preferences.allergies = allergyMatch[1].split(',').map(s => s.trim());
+// --- Ambient Mixing ---
+// Optional second track: the Polly voice laid over a looping ambient bed, for clients that can't
+// mix themselves (the watch). Loops are the app's own (Do/Resources/Audio/AmbientSounds), copied
+// into the deployment package as ambient/ by deploy_backend_fix.sh (or AMBIENT_ASSET_DIR), and mixing
+// is done by ffmpeg from a Lambda layer (/opt/bin/ffmpeg, or FFMPEG_PATH). The bed fades in under
+// the first words, ducks under speech, plays on for a few seconds after the voice ends and fades
+// out - the voice isn't shifted, so captions still line up.
+// Mixing only happens on POST /meditations/audio; /query just hands back a mix that already exists.
+// Stored next to the voice as <audioKey>.mix-<type>.mp3, so it expires with it.
+const AMBIENT_BED_VOLUME = 0.35;
+const AMBIENT_FADE_IN_SECONDS = 3;
+const AMBIENT_TAIL_SECONDS = 6; // Bed after the last word, ending in the fade out
+const AMBIENT_FADE_OUT_SECONDS = 4;
+const AMBIENT_MIX_TIMEOUT_MS = 25 * 1000; // Has to finish inside API Gateway's 29s
+
+const getAmbientAssetPath = (ambientType) =>
+  require('path').join(process.env.AMBIENT_ASSET_DIR || require('path').join(__dirname, 'ambient'), AMBIENT_MIX_ASSETS[ambientType]);
+
+const getMixedAudioObjectKey = (audioKey, ambientType) => `${AUDIO_CACHE_PREFIX}/${audioKey}.mix-${ambientType}.mp3`;
+
+// ffmpeg filter graph: voice padded with the tail and split into the mix and the ducking key,
+// bed looped (-stream_loop on the input), faded in and compressed whenever the voice is speaking
+const buildAmbientMixFilter = (durationSeconds) => {
+  const totalSeconds = durationSeconds + AMBIENT_TAIL_SECONDS;
+  return [
+    `[0:a]apad=pad_dur=${AMBIENT_TAIL_SECONDS},asplit=2[voice][key]`,
+    `[1:a]volume=${AMBIENT_BED_VOLUME},afade=t=in:d=${AMBIENT_FADE_IN_SECONDS}[bed]`,
+    `[bed][key]sidechaincompress=threshold=0.02:ratio=6:attack=80:release=900[ducked]`,
+    `[voice][ducked]amix=inputs=2:duration=first:normalize=0,afade=t=out:st=${Math.max(0, totalSeconds - AMBIENT_FADE_OUT_SECONDS)}:d=${AMBIENT_FADE_OUT_SECONDS}[mix]`
+  ].join(';');
+};
+
+const describeMixedAudio = (bucketName, mixedKey, duration) => ({
+  mixedAudioUrl: s3.getSignedUrl('getObject', { Bucket: bucketName, Key: mixedKey, Expires: AUDIO_URL_TTL_SECONDS }),
+  mixedAudioDuration: duration
+});
+
+// A stored, unexpired mix of this audio with this bed - { mixedAudioUrl, mixedAudioDuration } or null
+// Just a HEAD, so /query can offer a mix without running ffmpeg
+const findMixedAudio = async (bucketName, audioKey, ambientType) => {
+  if (!audioKey || !MIXABLE_AMBIENT_TYPES.includes(ambientType)) return null;
+  const mixedKey = getMixedAudioObjectKey(audioKey, ambientType);
+  try {
+    const head = await s3.headObject({ Bucket: bucketName, Key: mixedKey }).promise();
+    if (head.LastModified && Date.now() - new Date(head.LastModified).getTime() > AUDIO_CACHE_MAX_AGE_MS) {
+      return null;
+    }
+    console.log(`[AmbientMix] ✅ Hit: ${mixedKey}`);
+    return describeMixedAudio(bucketName, mixedKey, parseInt(head.Metadata?.duration, 10) || null);
+  } catch (error) {
+    if (error.code !== 'NotFound' && error.statusCode !== 404) {
+      console.error(`[AmbientMix] Error checking ${mixedKey}:`, error.message);
+    }
+    return null;
   }
-  
-  // Extract likes
-  const likeMatch = query.match(/i like\s+([^.]+)/i);
-  if (likeMatch) {
-    preferences.likes = likeMatch[1].split(',').map(s => s.trim());
+};
+
+// Mixed track for stored speech audio (from storeSpeechAudio/findCachedAudio)
+// Returns { mixedAudioUrl, mixedAudioDuration }, or null when mixing isn't possible - the plain
+// voice track is always delivered regardless
+async function mixAmbientAudio(bucketName, audioData, ambientType) {
+  const fs = require('fs');
+  const path = require('path');
+  const os = require('os');
+  const ffmpegPath = process.env.FFMPEG_PATH || '/opt/bin/ffmpeg';
+  
+  if (!MIXABLE_AMBIENT_TYPES.includes(ambientType) || !fs.existsSync(getAmbientAssetPath(ambientType))) {
+    console.log(`[AmbientMix] ⚠️ No ambient asset for '${ambientType}', skipping mix`);
+    return null;
   }
-  
-  // Extract dislikes
-  const dislikeMatch = query.match(/(?:i don'?t like|dislike)\s+([^.]+)/i);
-  if (dislikeMatch) {
-    preferences.dislikes = dislikeMatch[1].split(',').map(s => s.trim());
+  const existing = await findMixedAudio(bucketName, audioData.audioKey, ambientType);
+  if (existing) {
+    return existing;
   }
-  
-  // Extract dietary restrictions
-  const restrictionKeywords = ['vegetarian', 'vegan', 'gluten-free', 'dairy-free', 'keto', 'paleo'];
-  for (const keyword of restrictionKeywords) {
-    if (new RegExp(keyword, 'i').test(query)) {
-      preferences.restrictions.push(keyword);
-    }
+  if (!fs.existsSync(ffmpegPath)) {
+    console.log(`[AmbientMix] ⚠️ ffmpeg not found at ${ffmpegPath}, skipping mix`);
+    return null;
   }
   
-  return preferences;
+  const assetPath = getAmbientAssetPath(ambientType);
+  const mixedKey = getMixedAudioObjectKey(audioData.audioKey, ambientType);
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mix-'));
+  try {
+    const voice = await s3.getObject({ Bucket: bucketName, Key: audioData.filename }).promise();
+    const voicePath = path.join(workDir, 'voice.mp3');
+    const mixedPath = path.join(workDir, 'mixed.mp3');
+    fs.writeFileSync(voicePath, voice.Body);
+    const voiceSeconds = (getMp3DurationMs(voice.Body) / 1000) || audioData.duration || 0;
+    
+    await require('util').promisify(require('child_process').execFile)(ffmpegPath, [
+      '-hide_banner', '-loglevel', 'error', '-y',
+      '-i', voicePath,
+      '-stream_loop', '-1', '-i', assetPath,
+      '-filter_complex', buildAmbientMixFilter(voiceSeconds),
+      '-map', '[mix]', '-ac', '2', '-ar', '44100', '-c:a', 'libmp3lame', '-b:a', '96k',
+      mixedPath
+    ], { timeout: AMBIENT_MIX_TIMEOUT_MS });
+    
+    const mixed = fs.readFileSync(mixedPath);
+    const duration = Math.round(getMp3DurationMs(mixed) / 1000) || Math.round(voiceSeconds + AMBIENT_TAIL_SECONDS);
+    await s3.putObject({
+      Bucket: bucketName,
+      Key: mixedKey,
+      Body: mixed,
+      ContentType: 'audio/mpeg',
+      CacheControl: 'max-age=604800',
+      Metadata: { duration: String(duration), ambient: ambientType }
+    }).promise();
+    console.log(`[AmbientMix] ✅ Mixed ${audioData.audioKey} with ${ambientType}: ${mixed.length} bytes, ${duration}s`);
+    return describeMixedAudio(bucketName, mixedKey, duration);
+  } catch (error) {
+    console.error(`[AmbientMix] ❌ Mix failed for ${audioData.audioKey} (${ambientType}):`, error.message);
+    return null;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
 }
 
-// Helper: Extract vision board data from response
-function extractVisionBoardData(response, query) {
-  const data = {
-    title: null,
-    goals: [],
-    affirmations: [],
-    description: null,
-    theme: 'general'
-  };
-  
-  // Extract title (first line or from query)
-  const titleMatch = response.match(/^(?:title|vision board):\s*(.+)/im) || 
-                     response.match(/^([A-Z][^.!?\n]{3,50})/);
-  if (titleMatch) {
-    data.title = titleMatch[1].trim();
-  } else {
-    // Extract from query
-    const queryTitle = query.match(/(?:vision board|dream board|goal board)\s+(?:for|about)?\s*(.+)/i);
-    if (queryTitle) {
-      data.title = queryTitle[1].trim();
+// --- Story Narration ---
+// Bedtime stories go through the same Polly pipeline and audio cache as meditations, with their
+// own pacing: slower and softer for kids. If the user picked a dialogue voice, quoted speech is
+// read in that voice and the narration in theirs (Polly can't switch voices within one request,
+// so each stretch is synthesized separately and the MP3s are joined in order).
+const STORY_PROSODY = {
+  kid: { rate: 80, volume: 'soft', sentenceBreak: '900ms', paragraphBreak: '2s' },
+  teenager: { rate: 92, volume: 'medium', sentenceBreak: '600ms', paragraphBreak: '1.5s' },
+  adult: { rate: 88, volume: 'medium', sentenceBreak: '700ms', paragraphBreak: '1.5s' }
+};
+const MAX_STORY_VOICE_PARTS = 40; // Past this much back-and-forth, one voice reads everything
+
+const escapeSSML = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const getStoryProsody = (params = {}) => {
+  const prosody = STORY_PROSODY[params.audience] || STORY_PROSODY.adult;
+  // Adventures keep a little momentum
+  return params.tone === 'adventurous' ? { ...prosody, rate: prosody.rate + 5 } : prosody;
+};
+
+// Story text → SSML body: [PAUSE: Xs] markers, ellipses, paragraph and sentence breaks
+const storyTextToSSML = (text, prosody) => escapeSSML(text)
+  .replace(/\[PAUSE:\s*(\d+(?:\.\d+)?)\s*(?:s|secs?|seconds?)?\s*\]/gi, (marker, seconds) => `<break time="${Math.min(10, Math.max(0.5, parseFloat(seconds)))}s"/>`)
+  .replace(/\.\.\.|…/g, ' <break time="800ms"/> ')
+  .replace(/\n\s*\n+/g, ` <break time="${prosody.paragraphBreak}"/> `)
+  .replace(/([.!?]["'”’]?)\s+(?=[A-Z"“'‘])/g, `$1 <break time="${prosody.sentenceBreak}"/> `)
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// [{ ssml, voiceId }] for Polly - one part, or alternating narration/dialogue parts
+const buildStorySpeech = (story, params, { narratorVoiceId = DEFAULT_VOICE_ID, dialogueVoiceId = null } = {}) => {
+  const prosody = getStoryProsody(params);
+  const toSSML = (text) => `<speak><prosody rate="${prosody.rate}%" volume="${prosody.volume}">${storyTextToSSML(text, prosody)}<break time="300ms"/></prosody></speak>`;
+  
+  if (!dialogueVoiceId || dialogueVoiceId === narratorVoiceId) {
+    return [{ ssml: toSSML(story), voiceId: narratorVoiceId }];
+  }
+  
+  // Odd pieces are the quoted speech
+  const segments = [];
+  story.split(/(“[^”]*”|"[^"\n]*")/).forEach((text, index) => {
+    if (!text.trim()) return;
+    const voiceId = index % 2 === 1 ? dialogueVoiceId : narratorVoiceId;
+    const previous = segments[segments.length - 1];
+    if (previous && previous.voiceId === voiceId) {
+      previous.text += ` ${text}`;
+    } else {
+      segments.push({ voiceId, text });
     }
+  });
+  if (segments.length > MAX_STORY_VOICE_PARTS) {
+    console.log(`[Story] ${segments.length} voice changes - narrating in one voice`);
+    return [{ ssml: toSSML(story), voiceId: narratorVoiceId }];
   }
-  
-  // Extract goals (look for numbered lists, bullet points, or "goals:" patterns)
-  const goalPatterns = [
-    /(?:goals?|objectives?):\s*\n([\s\S]*?)(?:\n\n|\n[A-Z]|$)/i,
-    /\d+\.\s*([A-Z][^.!?\n]{10,100})/g,
-    /[-•*]\s*([A-Z][^.!?\n]{10,100})/g
-  ];
-  
-  for (const pattern of goalPatterns) {
-    const matches = response.matchAll(pattern);
-    for (const match of matches) {
-      const goal = match[1]?.trim();
-      if (goal && goal.length > 10 && goal.length < 200) {
-        data.goals.push(goal);
-      }
+  return segments.map(segment => ({ ssml: toSSML(segment.text), voiceId: segment.voiceId }));
+};
+
+// Narrate a bedtime story with Amazon Polly (or reuse the stored file) - null falls back to device TTS
+async function generateStoryAudio(story, params = {}, meter = null, voices = {}) {
+  try {
+    const bucketName = getAudioBucket();
+    // The first part may be dialogue, so report the voices that were asked for
+    const store = async (storyVoices) => ({
+      ...await storeSpeechAudio(bucketName, buildStorySpeech(story, params, storyVoices), {
+        meter,
+        estimatedDuration: Math.ceil(story.length / 12) // Stories read a little faster than meditations
+      }),
+      voiceId: storyVoices.narratorVoiceId || DEFAULT_VOICE_ID,
+      dialogueVoiceId: storyVoices.dialogueVoiceId || null
+    });
+    try {
+      return await store(voices);
+    } catch (error) {
+      if (!isVoiceRejected(error) || (voices.narratorVoiceId === DEFAULT_VOICE_ID && !voices.dialogueVoiceId)) throw error;
+      console.log(`[Story] ⚠️ Voice rejected (${error.code}: ${error.message}), retrying with ${DEFAULT_VOICE_ID}`);
+      return await store({ narratorVoiceId: DEFAULT_VOICE_ID });
     }
+  } catch (error) {
+    console.error('[Story] Error generating audio:', error.message, error.code || '');
+    return null;
   }
+}
+
+// Extract search query for video search
+function extractSearchQuery(query) {
+  // Remove command words and keep the subject
+  const cleaned = query
+    .replace(/\b(show me|watch|video|tutorial|how to|demonstration)\b/gi, '')
+    .replace(/\b(equipment|exercise|workout|movement)\b/gi, '')
+    .trim();
+  return cleaned || null;
+}
+
+// Search YouTube videos (fallback to web search if no API key)
+async function searchVideos(query, limit = 5) {
+  const YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY;
+  const https = require('https');
   
-  // Extract affirmations (look for "I am", "I will", etc.)
-  const affirmationPattern = /(?:affirmation|mantra|i am|i will|i have|i attract)[^.!?\n]{10,150}/gi;
-  const affirmationMatches = response.matchAll(affirmationPattern);
-  for (const match of affirmationMatches) {
-    const aff = match[0]?.trim();
-    if (aff && aff.length > 10 && aff.length < 200) {
-      data.affirmations.push(aff);
+  if (YOUTUBE_API_KEY) {
+    try {
+      const searchUrl = `https://www.googleapis.com/youtube/v3/search?part=snippet&maxResults=${limit}&q=${encodeURIComponent(query + ' workout exercise')}&type=video&key=${YOUTUBE_API_KEY}`;
+      
+      // Use native fetch if available (Node 18+), otherwise use https
+      let data;
+      if (typeof fetch !== 'undefined') {
+        const response = await fetch(searchUrl);
+        data = await response.json();
+      } else {
+        // Fallback to https module
+        data = await new Promise((resolve, reject) => {
+          https.get(searchUrl, (res) => {
+            let body = '';
+            res.on('data', (chunk) => body += chunk);
+            res.on('end', () => {
+              try {
+                resolve(JSON.parse(body));
+              } catch (e) {
+                reject(e);
+              }
+            });
+          }).on('error', reject);
+        });
+      }
+      
+      if (data.items && data.items.length > 0) {
+        return data.items.map(item => ({
+          videoId: item.id.videoId,
+          title: item.snippet.title,
+          thumbnail: item.snippet.thumbnails?.high?.url || item.snippet.thumbnails?.default?.url,
+          channel: item.snippet.channelTitle,
+          url: `https://www.youtube.com/watch?v=${item.id.videoId}`
+        }));
+      }
+    } catch (error) {
+      console.error('[VideoSearch] YouTube API error:', error);
+      // Fall through to placeholder
     }
   }
   
-  // Extract theme from query
-  const themeKeywords = {
-    career: /\b(career|job|work|professional|business)\b/i,
-    health: /\b(health|fitness|wellness|body|physical)\b/i,
-    relationships: /\b(relationship|love|family|friends|connection)\b/i,
-    wealth: /\b(wealth|money|financial|abundance|prosperity)\b/i,
-    travel: /\b(travel|adventure|journey|destination|trip)\b/i,
-    personal: /\b(personal|growth|development|self|spiritual)\b/i
-  };
+  // Fallback: Return placeholder with YouTube search URL
+  console.log('[VideoSearch] No YouTube API key or API error, returning placeholder');
+  return [{
+    videoId: 'placeholder',
+    title: `Search YouTube for: "${query} workout"`,
+    thumbnail: null,
+    channel: 'YouTube',
+    url: `https://www.youtube.com/results?search_query=${encodeURIComponent(query + ' workout')}`
+  }];
+}
+
+// Helper: Extract equipment name from AI response
+function extractEquipmentName(response) {
+  // Try to extract equipment name from common patterns
+  const patterns = [
+    /(?:this is|that's|this|it's)\s+(?:a\s+|an\s+)?([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/i,
+    /(?:equipment|machine|device):\s*([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/i,
+    /(?:called|known as|named)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/i
+  ];
   
-  for (const [theme, pattern] of Object.entries(themeKeywords)) {
-    if (pattern.test(query) || pattern.test(response)) {
-      data.theme = theme;
-      break;
+  for (const pattern of patterns) {
+    const match = response.match(pattern);
+    if (match && match[1]) {
+      return match[1].trim();
     }
   }
   
-  // Use full response as description if no goals extracted
-  if (data.goals.length === 0) {
-    data.description = response;
+  // Fallback: extract first capitalized words
+  const words = response.split(/\s+/);
+  let equipmentName = '';
+  for (let i = 0; i < Math.min(words.length, 3); i++) {
+    if (words[i][0] === words[i][0].toUpperCase() && /^[A-Za-z]+$/.test(words[i])) {
+      equipmentName += words[i] + ' ';
+    }
   }
-  
-  return data;
+  return equipmentName.trim() || null;
 }
 
-// Helper: Extract manifestation data from response
-function extractManifestationData(response, query) {
-  const data = {
-    intention: null,
-    steps: [],
-    visualization: null,
-    timeframe: 'ongoing',
-    affirmations: []
+// Helper: Categorize equipment type
+function categorizeEquipment(name) {
+  if (!name) return 'other';
+  
+  const lower = name.toLowerCase();
+  if (lower.includes('bench') || lower.includes('chest') || lower.includes('press')) return 'chest';
+  if (lower.includes('squat') || lower.includes('leg') || lower.includes('knee')) return 'legs';
+  if (lower.includes('pull') || lower.includes('row') || lower.includes('lat')) return 'back';
+  if (lower.includes('shoulder') || lower.includes('deltoid')) return 'shoulders';
+  if (lower.includes('curl') || lower.includes('tricep') || lower.includes('bicep')) return 'arms';
+  if (lower.includes('cardio') || lower.includes('treadmill') || lower.includes('bike') || lower.includes('elliptical')) return 'cardio';
+  return 'other';
+}
+
+// Helper: Parse nutrition data from AI response
+function parseNutritionFromResponse(response) {
+  const nutrition = {
+    calories: 0,
+    macros: { protein: 0, carbs: 0, fat: 0 },
+    foods: []
   };
   
-  // Extract intention (from query or first sentence of response)
-  const intentionMatch = query.match(/(?:manifest|want|desire|attract|create)\s+(.+)/i);
-  if (intentionMatch) {
-    data.intention = intentionMatch[1].trim();
-  } else {
-    const firstSentence = response.split(/[.!?]/)[0];
-    if (firstSentence && firstSentence.length > 10 && firstSentence.length < 200) {
-      data.intention = firstSentence.trim();
-    }
+  // Extract calories
+  const calorieMatch = response.match(/(\d+)\s*(?:calories|kcal|cal)/i);
+  if (calorieMatch) {
+    nutrition.calories = parseInt(calorieMatch[1]);
   }
   
-  // Extract steps (look for numbered or bulleted lists)
-  const stepPatterns = [
-    /(?:steps?|actions?|practices?):\s*\n([\s\S]*?)(?:\n\n|\n[A-Z]|$)/i,
-    /\d+\.\s*([A-Z][^.!?\n]{15,200})/g,
-    /[-•*]\s*([A-Z][^.!?\n]{15,200})/g
+  // Extract macros
+  const proteinMatch = response.match(/(\d+(?:\.\d+)?)\s*g\s*(?:protein|pro)/i);
+  const carbMatch = response.match(/(\d+(?:\.\d+)?)\s*g\s*(?:carbs|carbohydrates|carbohydrate)/i);
+  const fatMatch = response.match(/(\d+(?:\.\d+)?)\s*g\s*(?:fat|fats)/i);
+  
+  if (proteinMatch) nutrition.macros.protein = parseFloat(proteinMatch[1]);
+  if (carbMatch) nutrition.macros.carbs = parseFloat(carbMatch[1]);
+  if (fatMatch) nutrition.macros.fat = parseFloat(fatMatch[1]);
+  
+  // Extract food items (simple heuristic - look for common food patterns)
+  const foodPatterns = [
+    /\b([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)\s+(?:with|and|,)/g,
+    /(?:contains|includes|has)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/g
   ];
   
-  for (const pattern of stepPatterns) {
+  for (const pattern of foodPatterns) {
     const matches = response.matchAll(pattern);
     for (const match of matches) {
-      const step = match[1]?.trim();
-      if (step && step.length > 15 && step.length < 250) {
-        data.steps.push(step);
+      if (match[1] && match[1].length > 2) {
+        nutrition.foods.push(match[1].trim());
       }
     }
   }
   
-  // Extract visualization guidance (look for "visualize", "imagine", "picture")
-  const visualizationPattern = /(?:visualize|imagine|picture|envision|see yourself)[^.!?\n]{20,300}/gi;
-  const visualizationMatches = response.matchAll(visualizationPattern);
-  const visualizations = Array.from(visualizationMatches).map(m => m[0]?.trim()).filter(Boolean);
-  if (visualizations.length > 0) {
-    data.visualization = visualizations[0];
-  }
-  
-  // Extract timeframe
-  const timeframeMatch = response.match(/(?:within|in|by)\s+(\d+\s*(?:days?|weeks?|months?|years?))/i);
-  if (timeframeMatch) {
-    data.timeframe = timeframeMatch[1].toLowerCase();
-  }
+  return nutrition;
+}
+
+// Helper: Extract recommendations from form analysis
+function extractRecommendations(response) {
+  const recommendations = [];
+  const lines = response.split('\n');
   
-  // Extract affirmations
-  const affirmationPattern = /(?:i am|i will|i have|i attract|i deserve|i am worthy)[^.!?\n]{10,150}/gi;
-  const affirmationMatches = response.matchAll(affirmationPattern);
-  for (const match of affirmationMatches) {
-    const aff = match[0]?.trim();
-    if (aff && aff.length > 10 && aff.length < 200) {
-      data.affirmations.push(aff);
+  for (const line of lines) {
+    if (/recommend|suggest|should|try|improve|focus/i.test(line) && line.length > 10) {
+      recommendations.push(line.trim());
     }
   }
   
-  return data;
+  return recommendations.length > 0 ? recommendations : [response];
 }
 
-// Helper: Extract affirmation data from response
-function extractAffirmationData(response, query) {
-  const data = {
-    affirmations: [],
-    category: 'general',
-    frequency: 'daily',
-    description: null
-  };
+// Helper: Extract meal plan from text response (constructs FoodEntry-compatible structure)
+function extractMealPlanFromText(response, days = 7) {
+  const meals = [];
+  const mealTypes = ['breakfast', 'lunch', 'dinner', 'snack'];
   
-  // Extract affirmations (look for "I am", "I will", statements)
-  const affirmationPatterns = [
-    /(?:i am|i will|i have|i attract|i deserve|i am worthy|i choose|i believe)[^.!?\n]{10,150}/gi,
-    /\d+\.\s*([A-Z][^.!?\n]{10,150})/g,
-    /[-•*]\s*([A-Z][^.!?\n]{10,150})/g,
-    /"([^"]{20,150})"/g
-  ];
+  // Simple extraction - look for meal patterns in response
+  // The AI should ideally return structured JSON, but we parse text as fallback
+  const lines = response.split('\n');
+  let currentMeal = null;
   
-  for (const pattern of affirmationPatterns) {
-    const matches = response.matchAll(pattern);
-    for (const match of matches) {
-      const aff = (match[1] || match[0])?.trim();
-      if (aff && aff.length > 10 && aff.length < 200 && !data.affirmations.includes(aff)) {
-        data.affirmations.push(aff);
+  for (const line of lines) {
+    // Detect meal type
+    for (const mealType of mealTypes) {
+      if (line.toLowerCase().includes(mealType)) {
+        if (currentMeal) meals.push(currentMeal);
+        currentMeal = {
+          mealType: mealType,
+          name: line.trim(),
+          calories: 0,
+          protein: 0,
+          carbs: 0,
+          fat: 0
+        };
+        break;
       }
     }
+    
+    // Extract nutrition if available
+    if (currentMeal) {
+      const calorieMatch = line.match(/(\d+)\s*cal/i);
+      if (calorieMatch) currentMeal.calories = parseInt(calorieMatch[1]);
+      
+      const proteinMatch = line.match(/(\d+(?:\.\d+)?)\s*g\s*pro/i);
+      if (proteinMatch) currentMeal.protein = parseFloat(proteinMatch[1]);
+    }
   }
   
-  // If no affirmations extracted, use response as single affirmation
-  if (data.affirmations.length === 0) {
-    const sentences = response.split(/[.!?]/).filter(s => s.trim().length > 15 && s.trim().length < 200);
-    if (sentences.length > 0) {
-      data.affirmations = sentences.slice(0, 5).map(s => s.trim());
+  if (currentMeal) meals.push(currentMeal);
+  
+  return meals.length > 0 ? meals : null;
+}
+
+// Helper: Extract meal suggestions from text
+function extractMealSuggestionsFromText(response) {
+  const suggestions = [];
+  const lines = response.split('\n');
+  
+  for (const line of lines) {
+    // Look for meal suggestions (usually start with numbers, dashes, or bullet points)
+    if ((/^\d+\.|^[-•*]|^[A-Z][a-z]+/i.test(line.trim()) && line.length > 20) || 
+        /suggest|recommend|you can make|try making/i.test(line)) {
+      suggestions.push(line.trim().replace(/^[-•*\d+\.]\s*/, ''));
     }
   }
   
-  // Extract category from query
-  const categoryKeywords = {
-    confidence: /\b(confidence|self-esteem|believe in myself|worthy)\b/i,
-    health: /\b(health|fitness|wellness|strong|vitality)\b/i,
-    abundance: /\b(abundance|wealth|prosperity|money|financial)\b/i,
-    love: /\b(love|relationships|connection|romance)\b/i,
-    success: /\b(success|achievement|accomplish|excel)\b/i,
-    peace: /\b(peace|calm|tranquil|serenity|inner peace)\b/i,
-    growth: /\b(growth|development|learning|evolving|progress)\b/i
-  };
+  return suggestions.length > 0 ? suggestions.slice(0, 10) : [response];
+}
+
+// Helper: Extract recipes from text
+function extractRecipesFromText(response) {
+  // Look for recipe-like patterns (ingredients lists, instructions)
+  const recipes = [];
+  const sections = response.split(/\n{2,}/);
   
-  for (const [category, pattern] of Object.entries(categoryKeywords)) {
-    if (pattern.test(query) || pattern.test(response)) {
-      data.category = category;
-      break;
+  for (const section of sections) {
+    if ((/ingredients|recipe|instructions|how to/i.test(section) && section.length > 50)) {
+      recipes.push(section.trim());
     }
   }
   
-  // Extract frequency
-  const frequencyMatch = query.match(/(?:daily|weekly|morning|evening|before|after)\s+affirmation/i);
-  if (frequencyMatch) {
-    if (/daily|every day/i.test(frequencyMatch[0])) data.frequency = 'daily';
-    else if (/weekly/i.test(frequencyMatch[0])) data.frequency = 'weekly';
-    else if (/morning/i.test(frequencyMatch[0])) data.frequency = 'morning';
-    else if (/evening/i.test(frequencyMatch[0])) data.frequency = 'evening';
-  }
+  return recipes.length > 0 ? recipes : [];
+}
+
+// Helper: Extract restaurant suggestions
+function extractRestaurantSuggestions(response) {
+  const suggestions = [];
+  const lines = response.split('\n');
   
-  // Use response as description if needed
-  data.description = response.length < 500 ? response : response.substring(0, 500) + '...';
+  for (const line of lines) {
+    // Look for restaurant names or recommendations
+    if ((line.length > 10 && line.length < 100) && 
+        (/restaurant|cafe|diner|bistro|grill/i.test(line) || 
+         /^\d+\.|^[-•*]/i.test(line.trim()))) {
+      suggestions.push(line.trim().replace(/^[-•*\d+\.]\s*/, ''));
+    }
+  }
   
-  return data;
+  return suggestions.slice(0, 10);
 }
 
-// Helper: Extract story data from response
-function extractStoryData(response, query, params) {
-  const data = {
-    title: null,
-    story: null,
-    theme: params.storyType || 'bedtime',
-    audience: params.audience || 'adult',
-    tone: params.tone || 'calming'
+// Helper: Extract workout session from AI response
+function extractWorkoutSession(response, query) {
+  // Try to extract JSON first
+  const jsonMatch = response.match(/\{[\s\S]*"name"[\s\S]*"movements"[\s\S]*\}/);
+  if (jsonMatch) {
+    try {
+      const parsed = JSON.parse(jsonMatch[0]);
+      if (parsed.name && parsed.movements && Array.isArray(parsed.movements)) {
+        return parsed;
+      }
+    } catch (e) {
+      console.log('[ACTION] Could not parse workout session JSON, parsing from text');
+    }
+  }
+  
+  // Parse from text response - extract structured data
+  const session = {
+    name: null,
+    description: null,
+    difficulty: 'intermediate',
+    equipmentNeeded: false,
+    tags: [],
+    movements: []
   };
   
-  // Extract title (first line or from query)
-  const titlePatterns = [
-    /^(?:title|story):\s*(.+)/im,
-    /^"([^"]{10,60})"/,
-    /^([A-Z][^.!?\n]{10,60})/m
+  // Extract session name - look for title/header
+  const namePatterns = [
+    /(?:session|workout):\s*\*\*?([^*\n]{5,60})\*\*?/i,
+    /^#+\s*([^\n]{5,60})/m,
+    /(?:^|\n)\*\*?([A-Z][^\n*]{5,60})\*\*?:/m
   ];
   
-  for (const pattern of titlePatterns) {
+  for (const pattern of namePatterns) {
     const match = response.match(pattern);
     if (match && match[1]) {
-      data.title = match[1].trim();
-      // Remove title from story if found at start
-      if (response.startsWith(match[0])) {
-        data.story = response.substring(match[0].length).trim();
+      session.name = match[1].trim().replace(/^#+\s*/, '');
+      break;
+    }
+  }
+  
+  // If no name found, generate from query
+  if (!session.name) {
+    const queryMatch = query.match(/(?:create|make|new).*(?:session|workout|leg day|arm day|chest day|back day|full body|upper body|lower body)\s+(?:for|to|that|which|strengthen|target|focus|help|can do|in an hour)?\s*(.+)/i);
+    if (queryMatch && queryMatch[1]) {
+      session.name = queryMatch[1].trim().substring(0, 60);
+    } else {
+      session.name = 'Workout Session';
+    }
+  }
+  
+  // Extract description (first paragraph, before exercises)
+  const descMatch = response.match(/(?:description|overview|summary):\s*(.+?)(?:\n\n|\n(?:###|##|#|\d+\.|[-•*]|Warm|Main|Cool))/is) ||
+                    response.split(/\n{2,}/)[0];
+  if (descMatch) {
+    session.description = (typeof descMatch === 'string' ? descMatch : descMatch[1]).trim();
+    // Remove markdown formatting
+    session.description = session.description.replace(/\*\*|__|#+\s*/g, '').trim();
+  }
+  
+  // Extract difficulty
+  const difficultyMatch = response.match(/\b(beginner|intermediate|advanced|expert)\b/i);
+  if (difficultyMatch) {
+    session.difficulty = difficultyMatch[1].toLowerCase();
+  }
+  
+  // Check for equipment needs
+  session.equipmentNeeded = /\b(equipment|machine|barbell|dumbbell|weights|gym|bench|step|foam roller)\b/i.test(response);
+  
+  // Extract movements - look for exercise patterns
+  // Skip headers, tips, equipment lists, etc.
+  const exercisePatterns = [
+    /\d+\.\s*\*\*?([^*\n]{5,50})\*\*?[:\s]*(\d+)\s*(?:sets?|x)[\s,]*(\d+(?:-\d+)?)\s*(?:reps?|rep)/gi,
+    /\d+\.\s*\*\*?([^*\n]{5,50})\*\*?[:\s]*(\d+(?:\.\d+)?)\s*(?:seconds?|sec|s|minutes?|min)/gi,
+    /\*\*?([A-Z][^*\n]{5,50})\*\*?[:\s]*(\d+)\s*(?:sets?|x)[\s,]*(\d+(?:-\d+)?)\s*(?:reps?|rep)/gi,
+    /\*\*?([A-Z][^*\n]{5,50})\*\*?[:\s]*(\d+(?:\.\d+)?)\s*(?:seconds?|sec|s|minutes?|min)/gi
+  ];
+  
+  const seenMovements = new Set();
+  
+  for (const pattern of exercisePatterns) {
+    const matches = response.matchAll(pattern);
+    for (const match of matches) {
+      const movementName = match[1]?.trim();
+      if (movementName && 
+          movementName.length > 5 && 
+          movementName.length < 100 &&
+          !seenMovements.has(movementName.toLowerCase()) &&
+          !movementName.match(/^(Warm|Main|Cool|Equipment|Tips|Duration|Frequency|Session|Workout|Dynamic|Static|Foam|Bodyweight|Strengthening|Knee|Leg|Arm|Chest|Back|Focus|Gradual|Listen)/i)) {
+        
+        seenMovements.add(movementName.toLowerCase());
+        
+        // Determine if timed or rep-based
+        const isTimed = /seconds?|sec|s|minutes?|min|hold/i.test(match[0]);
+        const setsCount = match[2] ? parseInt(match[2]) : 3;
+        const repsOrSec = match[3] ? match[3] : (isTimed ? '60' : '10');
+        
+        // Create sets
+        const sets = [];
+        for (let i = 0; i < setsCount; i++) {
+          if (isTimed) {
+            const seconds = repsOrSec.includes('min') ? parseFloat(repsOrSec) * 60 : parseFloat(repsOrSec);
+            sets.push({
+              weight: null,
+              reps: null,
+              sec: String(Math.round(seconds)),
+              isTimed: true
+            });
+          } else {
+            sets.push({
+              weight: null,
+              reps: String(repsOrSec),
+              sec: null,
+              isTimed: false
+            });
+          }
+        }
+        
+        session.movements.push({
+          movement1Name: movementName,
+          movement2Name: null,
+          isSingle: true,
+          isTimed: isTimed,
+          category: null,
+          difficulty: session.difficulty,
+          description: null,
+          firstSectionSets: sets
+        });
+      }
+    }
+  }
+  
+  // If no movements found with patterns, try simpler extraction
+  if (session.movements.length === 0) {
+    const lines = response.split('\n');
+    for (const line of lines) {
+      // Look for exercise names (capitalized, 5-50 chars, not headers)
+      if (/^\d+\.\s*\*\*?([A-Z][^*\n]{5,50})\*\*?/i.test(line)) {
+        const match = line.match(/^\d+\.\s*\*\*?([^*\n]{5,50})\*\*?/i);
+        if (match && match[1]) {
+          const movementName = match[1].trim();
+          if (!movementName.match(/^(Warm|Main|Cool|Equipment|Tips|Duration|Frequency)/i)) {
+            session.movements.push({
+              movement1Name: movementName,
+              movement2Name: null,
+              isSingle: true,
+              isTimed: false,
+              category: null,
+              difficulty: session.difficulty,
+              description: null,
+              firstSectionSets: [
+                { weight: null, reps: '10', sec: null, isTimed: false },
+                { weight: null, reps: '10', sec: null, isTimed: false },
+                { weight: null, reps: '10', sec: null, isTimed: false }
+              ]
+            });
+          }
+        }
+      }
+    }
+  }
+  
+  return session;
+}
+
+// Helper: Extract food preferences from query
+function extractFoodPreferences(query) {
+  const preferences = {
+    likes: [],
+    dislikes: [],
+    allergies: [],
+    restrictions: []
+  };
+  
+  // Extract allergies
+  const allergyMatch = query.match(/(?:allergic|allergy) to\s+([^.]+)/i);
+  if (allergyMatch) {
+    preferences.allergies = allergyMatch[1].split(',').map(s => s.trim());
+  }
+  
+  // Extract likes
+  const likeMatch = query.match(/i like\s+([^.]+)/i);
+  if (likeMatch) {
+    preferences.likes = likeMatch[1].split(',').map(s => s.trim());
+  }
+  
+  // Extract dislikes
+  const dislikeMatch = query.match(/(?:i don'?t like|dislike)\s+([^.]+)/i);
+  if (dislikeMatch) {
+    preferences.dislikes = dislikeMatch[1].split(',').map(s => s.trim());
+  }
+  
+  // Extract dietary restrictions
+  const restrictionKeywords = ['vegetarian', 'vegan', 'gluten-free', 'dairy-free', 'keto', 'paleo'];
+  for (const keyword of restrictionKeywords) {
+    if (new RegExp(keyword, 'i').test(query)) {
+      preferences.restrictions.push(keyword);
+    }
+  }
+  
+  return preferences;
+}
+
+// Helper: Extract vision board data from response
+function extractVisionBoardData(response, query) {
+  const data = {
+    title: null,
+    goals: [],
+    affirmations: [],
+    description: null,
+    theme: 'general'
+  };
+  
+  // Extract title (first line or from query)
+  const titleMatch = response.match(/^(?:title|vision board):\s*(.+)/im) || 
+                     response.match(/^([A-Z][^.!?\n]{3,50})/);
+  if (titleMatch) {
+    data.title = titleMatch[1].trim();
+  } else {
+    // Extract from query
+    const queryTitle = query.match(/(?:vision board|dream board|goal board)\s+(?:for|about)?\s*(.+)/i);
+    if (queryTitle) {
+      data.title = queryTitle[1].trim();
+    }
+  }
+  
+  // Extract goals (look for numbered lists, bullet points, or "goals:" patterns)
+  const goalPatterns = [
+    /(?:goals?|objectives?):\s*\n([\s\S]*?)(?:\n\n|\n[A-Z]|$)/i,
+    /\d+\.\s*([A-Z][^.!?\n]{10,100})/g,
+    /[-•*]\s*([A-Z][^.!?\n]{10,100})/g
+  ];
+  
+  for (const pattern of goalPatterns) {
+    const matches = response.matchAll(pattern);
+    for (const match of matches) {
+      const goal = match[1]?.trim();
+      if (goal && goal.length > 10 && goal.length < 200) {
+        data.goals.push(goal);
       }
+    }
+  }
+  
+  // Extract affirmations (look for "I am", "I will", etc.)
+  const affirmationPattern = /(?:affirmation|mantra|i am|i will|i have|i attract)[^.!?\n]{10,150}/gi;
+  const affirmationMatches = response.matchAll(affirmationPattern);
+  for (const match of affirmationMatches) {
+    const aff = match[0]?.trim();
+    if (aff && aff.length > 10 && aff.length < 200) {
+      data.affirmations.push(aff);
+    }
+  }
+  
+  // Extract theme from query
+  const themeKeywords = {
+    career: /\b(career|job|work|professional|business)\b/i,
+    health: /\b(health|fitness|wellness|body|physical)\b/i,
+    relationships: /\b(relationship|love|family|friends|connection)\b/i,
+    wealth: /\b(wealth|money|financial|abundance|prosperity)\b/i,
+    travel: /\b(travel|adventure|journey|destination|trip)\b/i,
+    personal: /\b(personal|growth|development|self|spiritual)\b/i
+  };
+  
+  for (const [theme, pattern] of Object.entries(themeKeywords)) {
+    if (pattern.test(query) || pattern.test(response)) {
+      data.theme = theme;
       break;
     }
   }
   
-  // If no title extracted, try to extract from query
-  if (!data.title) {
-    const queryTitle = query.match(/(?:story|tale) (?:about|of|for) (.+)/i);
-    if (queryTitle && queryTitle[1].length < 50) {
-      data.title = queryTitle[1].trim();
+  // Use full response as description if no goals extracted
+  if (data.goals.length === 0) {
+    data.description = response;
+  }
+  
+  return data;
+}
+
+// Helper: Extract manifestation data from response
+function extractManifestationData(response, query) {
+  const data = {
+    intention: null,
+    steps: [],
+    visualization: null,
+    timeframe: 'ongoing',
+    affirmations: []
+  };
+  
+  // Extract intention (from query or first sentence of response)
+  const intentionMatch = query.match(/(?:manifest|want|desire|attract|create)\s+(.+)/i);
+  if (intentionMatch) {
+    data.intention = intentionMatch[1].trim();
+  } else {
+    const firstSentence = response.split(/[.!?]/)[0];
+    if (firstSentence && firstSentence.length > 10 && firstSentence.length < 200) {
+      data.intention = firstSentence.trim();
+    }
+  }
+  
+  // Extract steps (look for numbered or bulleted lists)
+  const stepPatterns = [
+    /(?:steps?|actions?|practices?):\s*\n([\s\S]*?)(?:\n\n|\n[A-Z]|$)/i,
+    /\d+\.\s*([A-Z][^.!?\n]{15,200})/g,
+    /[-•*]\s*([A-Z][^.!?\n]{15,200})/g
+  ];
+  
+  for (const pattern of stepPatterns) {
+    const matches = response.matchAll(pattern);
+    for (const match of matches) {
+      const step = match[1]?.trim();
+      if (step && step.length > 15 && step.length < 250) {
+        data.steps.push(step);
+      }
+    }
+  }
+  
+  // Extract visualization guidance (look for "visualize", "imagine", "picture")
+  const visualizationPattern = /(?:visualize|imagine|picture|envision|see yourself)[^.!?\n]{20,300}/gi;
+  const visualizationMatches = response.matchAll(visualizationPattern);
+  const visualizations = Array.from(visualizationMatches).map(m => m[0]?.trim()).filter(Boolean);
+  if (visualizations.length > 0) {
+    data.visualization = visualizations[0];
+  }
+  
+  // Extract timeframe
+  const timeframeMatch = response.match(/(?:within|in|by)\s+(\d+\s*(?:days?|weeks?|months?|years?))/i);
+  if (timeframeMatch) {
+    data.timeframe = timeframeMatch[1].toLowerCase();
+  }
+  
+  // Extract affirmations
+  const affirmationPattern = /(?:i am|i will|i have|i attract|i deserve|i am worthy)[^.!?\n]{10,150}/gi;
+  const affirmationMatches = response.matchAll(affirmationPattern);
+  for (const match of affirmationMatches) {
+    const aff = match[0]?.trim();
+    if (aff && aff.length > 10 && aff.length < 200) {
+      data.affirmations.push(aff);
+    }
+  }
+  
+  return data;
+}
+
+// Helper: Extract affirmation data from response
+function extractAffirmationData(response, query) {
+  const data = {
+    affirmations: [],
+    category: 'general',
+    frequency: 'daily',
+    description: null
+  };
+  
+  // Extract affirmations (look for "I am", "I will", statements)
+  const affirmationPatterns = [
+    /(?:i am|i will|i have|i attract|i deserve|i am worthy|i choose|i believe)[^.!?\n]{10,150}/gi,
+    /\d+\.\s*([A-Z][^.!?\n]{10,150})/g,
+    /[-•*]\s*([A-Z][^.!?\n]{10,150})/g,
+    /"([^"]{20,150})"/g
+  ];
+  
+  for (const pattern of affirmationPatterns) {
+    const matches = response.matchAll(pattern);
+    for (const match of matches) {
+      const aff = (match[1] || match[0])?.trim();
+      if (aff && aff.length > 10 && aff.length < 200 && !data.affirmations.includes(aff)) {
+        data.affirmations.push(aff);
+      }
+    }
+  }
+  
+  // If no affirmations extracted, use response as single affirmation
+  if (data.affirmations.length === 0) {
+    const sentences = response.split(/[.!?]/).filter(s => s.trim().length > 15 && s.trim().length < 200);
+    if (sentences.length > 0) {
+      data.affirmations = sentences.slice(0, 5).map(s => s.trim());
+    }
+  }
+  
+  // Extract category from query
+  const categoryKeywords = {
+    confidence: /\b(confidence|self-esteem|believe in myself|worthy)\b/i,
+    health: /\b(health|fitness|wellness|strong|vitality)\b/i,
+    abundance: /\b(abundance|wealth|prosperity|money|financial)\b/i,
+    love: /\b(love|relationships|connection|romance)\b/i,
+    success: /\b(success|achievement|accomplish|excel)\b/i,
+    peace: /\b(peace|calm|tranquil|serenity|inner peace)\b/i,
+    growth: /\b(growth|development|learning|evolving|progress)\b/i
+  };
+  
+  for (const [category, pattern] of Object.entries(categoryKeywords)) {
+    if (pattern.test(query) || pattern.test(response)) {
+      data.category = category;
+      break;
+    }
+  }
+  
+  // Extract frequency
+  const frequencyMatch = query.match(/(?:daily|weekly|morning|evening|before|after)\s+affirmation/i);
+  if (frequencyMatch) {
+    if (/daily|every day/i.test(frequencyMatch[0])) data.frequency = 'daily';
+    else if (/weekly/i.test(frequencyMatch[0])) data.frequency = 'weekly';
+    else if (/morning/i.test(frequencyMatch[0])) data.frequency = 'morning';
+    else if (/evening/i.test(frequencyMatch[0])) data.frequency = 'evening';
+  }
+  
+  // Use response as description if needed
+  data.description = response.length < 500 ? response : response.substring(0, 500) + '...';
+  
+  return data;
+}
+
+// Helper: Extract story data from response
+function extractStoryData(response, query, params) {
+  const data = {
+    title: null,
+    story: null,
+    theme: params.storyType || 'bedtime',
+    audience: params.audience || 'adult',
+    tone: params.tone || 'calming'
+  };
+  
+  // Extract title (first line or from query)
+  const titlePatterns = [
+    /^(?:title|story):\s*(.+)/im,
+    /^"([^"]{10,60})"/,
+    /^([A-Z][^.!?\n]{10,60})/m
+  ];
+  
+  for (const pattern of titlePatterns) {
+    const match = response.match(pattern);
+    if (match && match[1]) {
+      data.title = match[1].trim();
+      // Remove title from story if found at start
+      if (response.startsWith(match[0])) {
+        data.story = response.substring(match[0].length).trim();
+      }
+      break;
+    }
+  }
+  
+  // If no title extracted, try to extract from query
+  if (!data.title) {
+    const queryTitle = query.match(/(?:story|tale) (?:about|of|for) (.+)/i);
+    if (queryTitle && queryTitle[1].length < 50) {
+      data.title = queryTitle[1].trim();
+    }
+  }
+  
+  // Use full response as story if not split
+  if (!data.story) {
+    data.story = response;
+  }
+  
+  // Clean up story (remove markdown, headers, etc.)
+  data.story = data.story
+    .replace(/^#+\s*/gm, '') // Remove markdown headers
+    .replace(/\*\*(.+?)\*\*/g, '$1') // Remove bold
+    .replace(/\*(.+?)\*/g, '$1') // Remove italic
+    .replace(/^---+\s*$/gm, '') // Remove horizontal rules
+    .trim();
+  
+  return data;
+}
+
+// Tier 0: answer stats lookups straight from DynamoDB (no tokens charged)
+// Returns { response, stats } or null to fall through to the AI path
+const handleDatabaseQuery = async (query, userId) => {
+  // Parse intent and timeframe
+  const intent = parseIntent(query);
+  
+  try {
+    switch(intent.type) {
+      case 'GET_PACE':
+        return await getPace(userId, intent.timeframe);
+      case 'GET_DISTANCE':
+        return await getDistance(userId, intent.timeframe);
+      case 'GET_LAST_ACTIVITY':
+        return await getLastActivity(userId, intent.activityType);
+      case 'GET_PR':
+        return await getPersonalRecord(userId, intent.activityType, intent.metric);
+      case 'GET_COUNT':
+        return await getActivityCount(userId, intent.activityType, intent.timeframe);
+      default:
+        return null; // Fallback to AI
+    }
+  } catch (error) {
+    console.error(`[DB ERROR] ${intent.type} lookup failed:`, error);
+    return null; // Fallback to AI
+  }
+};
+
+const parseIntent = (query) => {
+  const lowerQuery = query.toLowerCase();
+  
+  // Pace queries
+  if (/pace/.test(lowerQuery)) {
+    return {
+      type: 'GET_PACE',
+      timeframe: parseTimeframe(query)
+    };
+  }
+  
+  // Distance queries
+  if (/distance|miles|km/.test(lowerQuery)) {
+    return {
+      type: 'GET_DISTANCE',
+      timeframe: parseTimeframe(query)
+    };
+  }
+  
+  // Last activity
+  if (/last|recent|latest/.test(lowerQuery)) {
+    return {
+      type: 'GET_LAST_ACTIVITY',
+      activityType: parseActivityType(query)
+    };
+  }
+  
+  // PR queries
+  if (/pr|personal record|best|fastest/.test(lowerQuery)) {
+    return {
+      type: 'GET_PR',
+      activityType: parseActivityType(query),
+      metric: parseMetric(query)
+    };
+  }
+  
+  // Count queries
+  if (/how many/.test(lowerQuery)) {
+    return {
+      type: 'GET_COUNT',
+      activityType: parseActivityType(query),
+      timeframe: parseTimeframe(query)
+    };
+  }
+  
+  return { type: 'UNKNOWN' };
+};
+
+const parseTimeframe = (query) => {
+  const lowerQuery = query.toLowerCase();
+  const now = Date.now();
+  
+  if (/yesterday/.test(lowerQuery)) {
+    return {
+      start: now - 86400000 * 2,
+      end: now - 86400000
+    };
+  }
+  
+  if (/today/.test(lowerQuery)) {
+    const startOfDay = new Date().setHours(0, 0, 0, 0);
+    return {
+      start: startOfDay,
+      end: now
+    };
+  }
+  
+  if (/this week/.test(lowerQuery)) {
+    const startOfWeek = now - (new Date().getDay() * 86400000);
+    return {
+      start: startOfWeek,
+      end: now
+    };
+  }
+  
+  if (/this month/.test(lowerQuery)) {
+    const startOfMonth = new Date(new Date().getFullYear(), new Date().getMonth(), 1).getTime();
+    return {
+      start: startOfMonth,
+      end: now
+    };
+  }
+  
+  // Default to last 7 days
+  return {
+    start: now - (7 * 86400000),
+    end: now
+  };
+};
+
+const parseActivityType = (query) => {
+  const lowerQuery = query.toLowerCase();
+  
+  if (/run|running/.test(lowerQuery)) return 'runs';
+  if (/bike|biking|cycling/.test(lowerQuery)) return 'bikes';
+  if (/hike|hiking/.test(lowerQuery)) return 'hikes';
+  if (/workout|strength/.test(lowerQuery)) return 'workouts';
+  if (/swim|swimming/.test(lowerQuery)) return 'swims';
+  
+  return 'runs'; // Default
+};
+
+const parseMetric = (query) => {
+  const lowerQuery = query.toLowerCase();
+  
+  if (/pace|fastest/.test(lowerQuery)) return 'pace';
+  if (/distance|longest/.test(lowerQuery)) return 'distance';
+  if (/time|duration/.test(lowerQuery)) return 'duration';
+  
+  return 'distance'; // Default
+};
+
+const getPace = async (userId, timeframe) => {
+  const params = {
+    TableName: 'prod-runs',
+    IndexName: 'user-time-index',
+    KeyConditionExpression: 'userId = :userId AND startTime BETWEEN :start AND :end',
+    ExpressionAttributeValues: {
+      ':userId': userId,
+      ':start': timeframe.start,
+      ':end': timeframe.end
+    },
+    Limit: 1,
+    ScanIndexForward: false
+  };
+  
+  const result = await dynamodb.query(params).promise();
+  
+  if (result.Items.length === 0) {
+    return {
+      response: "You don't have any runs for that timeframe.",
+      stats: { type: 'pace', activityType: 'runs', timeframe, count: 0 }
+    };
+  }
+  
+  const run = result.Items[0];
+  const paceMinutes = run.pace || run.avgPace || 0;
+  const pace = formatPace(paceMinutes);
+  const distance = formatDistance(run.distance || 0);
+  const date = formatDate(run.startTime);
+  
+  return {
+    response: `Your pace on ${date} was ${pace}/mi over ${distance}.`,
+    stats: {
+      type: 'pace',
+      activityType: 'runs',
+      timeframe,
+      count: 1,
+      pace: paceMinutes, // minutes per mile
+      paceFormatted: pace,
+      distanceMeters: run.distance || 0,
+      date: new Date(run.startTime).toISOString()
+    }
+  };
+};
+
+const getDistance = async (userId, timeframe) => {
+  const params = {
+    TableName: 'prod-runs',
+    IndexName: 'user-time-index',
+    KeyConditionExpression: 'userId = :userId AND startTime BETWEEN :start AND :end',
+    ExpressionAttributeValues: {
+      ':userId': userId,
+      ':start': timeframe.start,
+      ':end': timeframe.end
+    }
+  };
+  
+  const result = await dynamodb.query(params).promise();
+  
+  const totalDistance = result.Items.reduce((sum, item) => sum + (item.distance || 0), 0);
+  const count = result.Items.length;
+  
+  return {
+    response: `You ran ${formatDistance(totalDistance)} across ${count} runs.`,
+    stats: {
+      type: 'distance',
+      activityType: 'runs',
+      timeframe,
+      count,
+      totalDistanceMeters: totalDistance,
+      totalDistanceFormatted: formatDistance(totalDistance)
+    }
+  };
+};
+
+const getLastActivity = async (userId, activityType) => {
+  try {
+    const params = {
+      TableName: `prod-${activityType}`,
+      IndexName: 'user-time-index',
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: {
+        ':userId': userId
+      },
+      Limit: 1,
+      ScanIndexForward: false // Get most recent first
+    };
+    
+    console.log(`[DB] Querying ${activityType} for user ${userId}`);
+    const result = await dynamodb.query(params).promise();
+    console.log(`[DB] Found ${result.Items.length} ${activityType}`);
+    
+    if (result.Items.length === 0) {
+      return {
+        response: `You don't have any ${activityType} recorded yet. Start tracking your activities to see insights here!`,
+        stats: { type: 'last_activity', activityType, count: 0 }
+      };
+    }
+    
+    const activity = result.Items[0];
+    const date = formatDate(activity.startTime);
+    const distance = formatDistance(activity.distance || 0);
+    const duration = formatDuration(activity.duration || 0);
+    const pace = activity.pace ? formatPace(activity.pace) : null;
+    
+    let response = `Your last ${activityType.slice(0, -1)} was on ${date}: ${distance} in ${duration}`;
+    if (pace && activityType === 'runs') {
+      response += ` at ${pace}/mi pace`;
+    }
+    if (activity.calories) {
+      response += `. You burned ${activity.calories} calories`;
+    }
+    response += '.';
+    
+    return {
+      response,
+      stats: {
+        type: 'last_activity',
+        activityType,
+        count: 1,
+        date: new Date(activity.startTime).toISOString(),
+        distanceMeters: activity.distance || 0,
+        durationSeconds: activity.duration || 0,
+        pace: activity.pace || null,
+        calories: activity.calories || null
+      }
+    };
+  } catch (error) {
+    console.error(`[DB ERROR] Failed to query ${activityType}:`, error);
+    return null; // Fallback to AI
+  }
+};
+
+const getPersonalRecord = async (userId, activityType, metric) => {
+  try {
+    const params = {
+      TableName: `prod-${activityType}`,
+      IndexName: 'user-time-index',
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: {
+        ':userId': userId
+      }
+    };
+    
+    console.log(`[DB] Querying PRs for ${activityType}, user ${userId}`);
+    const result = await dynamodb.query(params).promise();
+    
+    if (result.Items.length === 0) {
+      return {
+        response: `You don't have any ${activityType} recorded yet.`,
+        stats: { type: 'personal_record', activityType, metric, count: 0 }
+      };
+    }
+    
+    // Only consider activities that actually recorded the metric
+    const candidates = result.Items.filter(item => item[metric] > 0);
+    if (candidates.length === 0) {
+      return null; // Nothing comparable - let the AI explain
+    }
+    
+    const best = candidates.reduce((best, current) => {
+      if (metric === 'pace') {
+        return current.pace < best.pace ? current : best; // Lower pace is faster
+      }
+      return current[metric] > best[metric] ? current : best; // distance, duration
+    });
+    
+    const formatters = {
+      pace: (v) => `${formatPace(v)}/mi`,
+      distance: formatDistance,
+      duration: formatDuration
+    };
+    const value = (formatters[metric] || formatDistance)(best[metric]);
+    const date = formatDate(best.startTime);
+    
+    return {
+      response: `Your PR for ${activityType} is ${value}, set on ${date}.`,
+      stats: {
+        type: 'personal_record',
+        activityType,
+        metric,
+        count: result.Items.length,
+        value: best[metric],
+        valueFormatted: value,
+        date: new Date(best.startTime).toISOString()
+      }
+    };
+  } catch (error) {
+    console.error(`[DB ERROR] Failed to get PR:`, error);
+    return null;
+  }
+};
+
+const getActivityCount = async (userId, activityType, timeframe) => {
+  const params = {
+    TableName: `prod-${activityType}`,
+    IndexName: 'user-time-index',
+    KeyConditionExpression: 'userId = :userId AND startTime BETWEEN :start AND :end',
+    ExpressionAttributeValues: {
+      ':userId': userId,
+      ':start': timeframe.start,
+      ':end': timeframe.end
+    }
+  };
+  
+  const result = await dynamodb.query(params).promise();
+  
+  return {
+    response: `You have ${result.Items.length} ${activityType} in that timeframe.`,
+    stats: {
+      type: 'count',
+      activityType,
+      timeframe,
+      count: result.Items.length
+    }
+  };
+};
+
+// Activities in a date range with totals (backs the get_runs_in_range tool)
+const getActivitiesInRange = async (userId, activityType, timeframe) => {
+  const params = {
+    TableName: `prod-${activityType}`,
+    IndexName: 'user-time-index',
+    KeyConditionExpression: 'userId = :userId AND startTime BETWEEN :start AND :end',
+    ExpressionAttributeValues: {
+      ':userId': userId,
+      ':start': timeframe.start,
+      ':end': timeframe.end
+    }
+  };
+
+  const items = [];
+  let lastKey;
+  do {
+    const result = await dynamodb.query({ ...params, ExclusiveStartKey: lastKey }).promise();
+    items.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  const totalDistance = items.reduce((sum, item) => sum + (item.distance || 0), 0);
+  const totalDuration = items.reduce((sum, item) => sum + (item.duration || 0), 0);
+  const paced = items.filter(item => item.pace > 0);
+  const avgPace = paced.length > 0 ? paced.reduce((sum, item) => sum + item.pace, 0) / paced.length : null;
+
+  return {
+    activityType,
+    startDate: new Date(timeframe.start).toISOString(),
+    endDate: new Date(timeframe.end).toISOString(),
+    count: items.length,
+    totalDistanceMiles: Number((totalDistance / 1609.34).toFixed(2)),
+    totalDuration: formatDuration(totalDuration),
+    avgPace: avgPace ? formatPace(avgPace) : null,
+    activities: items.slice(0, 50).map(item => ({
+      date: new Date(item.startTime).toISOString(),
+      distanceMiles: Number(((item.distance || 0) / 1609.34).toFixed(2)),
+      duration: formatDuration(item.duration || 0),
+      pace: item.pace ? formatPace(item.pace) : null,
+      calories: item.calories || null
+    }))
+  };
+};
+
+// Recent meditation sessions, optionally within a date range (backs the get_meditation_history tool)
+const getMeditationHistory = async (userId, { start = null, end = null, limit = 10 } = {}) => {
+  const result = await dynamodb.query({
+    TableName: 'prod-meditation',
+    KeyConditionExpression: 'userId = :userId',
+    ExpressionAttributeValues: {
+      ':userId': userId
+    },
+    Limit: start || end ? 100 : limit, // Over-fetch when filtering by date
+    ScanIndexForward: false
+  }).promise();
+
+  const sessions = (result.Items || []).filter(item => {
+    const time = new Date(item.createdAt).getTime();
+    return (!start || time >= start) && (!end || time <= end);
+  }).slice(0, limit);
+
+  return {
+    count: sessions.length,
+    sessions: sessions.map(item => ({
+      date: item.createdAt ? new Date(item.createdAt).toISOString() : null,
+      duration: item.duration || null,
+      focus: item.focus || item.type || null
+    }))
+  };
+};
+
+// Formatting helpers
+const formatPaceFromSeconds = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}/mile`;
+};
+
+const formatDistance = (meters) => {
+  const miles = meters / 1609.34;
+  return `${miles.toFixed(2)} miles`;
+};
+
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${mins}m` : `${mins}m`;
+};
+
+const formatDate = (timestamp) => {
+  return new Date(timestamp).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+};
+
+// --- Conversation Management ---
+// GET    /conversations                    → list the user's conversations (title, last message, updated time)
+// PATCH  /conversations/{id}               → rename ({ "title": "..." })
+// DELETE /conversations/{id}               → delete every message in the conversation
+// GET    /conversations/{id}/export        → full conversation as JSON (default) or ?format=markdown
+// Listing uses the user-updated-index GSI on prod-genie-messages (userId, updatedAt) - it's sparse,
+// only the per-conversation meta items carry updatedAt.
+const MAX_CONVERSATION_TITLE_LENGTH = 100;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-User-Id, If-None-Match, Accept',
+  'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS'
+};
+
+const jsonResponse = (statusCode, body, extraHeaders = {}) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    ...CORS_HEADERS,
+    ...extraHeaders
+  },
+  body: JSON.stringify(body)
+});
+
+// All messages of a conversation in chronological order (excluding the meta item)
+const getConversationMessages = async (conversationId) => {
+  const items = [];
+  let lastKey;
+  do {
+    const result = await dynamodb.query({
+      TableName: 'prod-genie-messages',
+      KeyConditionExpression: 'conversationId = :id AND #ts > :meta',
+      ExpressionAttributeNames: { '#ts': 'timestamp' },
+      ExpressionAttributeValues: { ':id': conversationId, ':meta': CONVERSATION_META_TIMESTAMP },
+      ExclusiveStartKey: lastKey
+    }).promise();
+    items.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+};
+
+// Load a conversation the user owns - returns null if it doesn't exist or belongs to someone else
+// Conversations created before meta items existed fall back to the first message's userId
+const loadOwnedConversation = async (conversationId, userId) => {
+  const meta = await getConversationMeta(conversationId);
+  if (meta) {
+    return meta.userId === userId ? { meta, messages: null } : null;
+  }
+  const messages = await getConversationMessages(conversationId);
+  if (messages.length === 0 || messages[0].userId !== userId) {
+    return null;
+  }
+  return { meta: null, messages };
+};
+
+const listConversations = async (userId, { limit = 20, nextToken = null } = {}) => {
+  const params = {
+    TableName: 'prod-genie-messages',
+    IndexName: 'user-updated-index',
+    KeyConditionExpression: 'userId = :userId',
+    ExpressionAttributeValues: { ':userId': userId },
+    ScanIndexForward: false, // Most recently updated first
+    Limit: limit
+  };
+  if (nextToken) {
+    params.ExclusiveStartKey = JSON.parse(Buffer.from(nextToken, 'base64').toString('utf8'));
+  }
+  
+  const result = await dynamodb.query(params).promise();
+  return {
+    conversations: (result.Items || []).map(item => ({
+      conversationId: item.conversationId,
+      title: item.title || 'New conversation',
+      lastMessage: item.lastMessage || null,
+      messageCount: item.messageCount || 0,
+      createdAt: item.createdAt ? new Date(item.createdAt).toISOString() : null,
+      updatedAt: item.updatedAt ? new Date(item.updatedAt).toISOString() : null
+    })),
+    nextToken: result.LastEvaluatedKey
+      ? Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString('base64')
+      : null
+  };
+};
+
+// Returns false if the meta item belongs to another user (nothing is written)
+const renameConversation = async (conversationId, userId, title) => {
+  try {
+    await dynamodb.update({
+      TableName: 'prod-genie-messages',
+      Key: { conversationId, timestamp: CONVERSATION_META_TIMESTAMP },
+      UpdateExpression: 'SET title = :title, titleIsCustom = :true, userId = :userId, #role = :meta, updatedAt = if_not_exists(updatedAt, :now), createdAt = if_not_exists(createdAt, :now)',
+      ConditionExpression: 'attribute_not_exists(userId) OR userId = :userId',
+      ExpressionAttributeNames: { '#role': 'role' },
+      ExpressionAttributeValues: {
+        ':title': title,
+        ':true': true,
+        ':userId': userId,
+        ':meta': 'meta',
+        ':now': Date.now()
+      }
+    }).promise();
+    return true;
+  } catch (e) {
+    if (e.code === 'ConditionalCheckFailedException') return false;
+    throw e;
+  }
+};
+
+const deleteConversation = async (conversationId) => {
+  const keys = [{ conversationId, timestamp: CONVERSATION_META_TIMESTAMP }];
+  (await getConversationMessages(conversationId)).forEach(item => {
+    keys.push({ conversationId, timestamp: item.timestamp });
+  });
+  
+  // BatchWrite takes 25 requests at a time; retry anything DynamoDB didn't process
+  for (let i = 0; i < keys.length; i += 25) {
+    let requests = keys.slice(i, i + 25).map(Key => ({ DeleteRequest: { Key } }));
+    for (let attempt = 0; requests.length > 0 && attempt < 5; attempt++) {
+      const result = await dynamodb.batchWrite({
+        RequestItems: { 'prod-genie-messages': requests }
+      }).promise();
+      requests = result.UnprocessedItems?.['prod-genie-messages'] || [];
+      if (requests.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, 100 * Math.pow(2, attempt)));
+      }
+    }
+    if (requests.length > 0) {
+      throw new Error(`Failed to delete ${requests.length} messages from conversation ${conversationId}`);
+    }
+  }
+  return keys.length - 1; // Messages deleted (excluding the meta item)
+};
+
+const buildConversationExport = (conversationId, meta, messages) => ({
+  conversationId,
+  title: meta?.title || 'Conversation',
+  summary: meta?.summary || null,
+  createdAt: messages.length > 0 ? new Date(messages[0].timestamp).toISOString() : null,
+  updatedAt: messages.length > 0 ? new Date(messages[messages.length - 1].timestamp).toISOString() : null,
+  exportedAt: new Date().toISOString(),
+  messages: messages.map(item => ({
+    role: item.role,
+    content: item.content,
+    timestamp: new Date(item.timestamp).toISOString(),
+    clientTimestamp: item.clientTimestamp || null,
+    intent: item.intent || null,
+    tokensUsed: item.tokensUsed || 0,
+    tier: item.tier !== undefined ? item.tier : null,
+    actions: item.actions || []
+  }))
+});
+
+const conversationExportToMarkdown = (exported) => {
+  const lines = [`# ${exported.title}`, '', `_Exported ${exported.exportedAt}_`, ''];
+  exported.messages.forEach(message => {
+    lines.push(`### ${message.role === 'user' ? 'You' : 'Genie'} · ${message.timestamp}`, '', message.content, '');
+    if (message.actions.length > 0) {
+      lines.push('**Actions:**', '');
+      message.actions.forEach(action => {
+        lines.push(`- \`${action.type}\``, '', '```json', JSON.stringify(action.data, null, 2), '```', '');
+      });
+    }
+  });
+  return lines.join('\n');
+};
+
+const CONVERSATION_UPDATE_SCHEMA = {
+  title: { type: 'string', required: true, trim: true, minLength: 1, maxLength: MAX_CONVERSATION_TITLE_LENGTH }
+};
+
+// method, path and body come from the router (stage prefix stripped, body already validated)
+const handleConversationsRoute = async (event, userId, { method, path, body }) => {
+  const query = event.queryStringParameters || {};
+  const match = path.match(/^\/conversations(?:\/([^/]+))?(\/export)?$/);
+  
+  if (!match) {
+    return jsonResponse(404, { error: 'Not found' });
+  }
+  const conversationId = match[1] ? decodeURIComponent(match[1]) : null;
+  const isExport = !!match[2];
+  
+  if (!conversationId) {
+    if (method !== 'GET') return jsonResponse(405, { error: 'Method not allowed' });
+    const limit = Math.max(1, Math.min(50, parseInt(query.limit) || 20));
+    try {
+      return jsonResponse(200, await listConversations(userId, { limit, nextToken: query.nextToken || null }));
+    } catch (e) {
+      if (e instanceof SyntaxError) {
+        return jsonResponse(400, { error: 'Invalid nextToken' });
+      }
+      throw e;
+    }
+  }
+  
+  const owned = await loadOwnedConversation(conversationId, userId);
+  if (!owned) {
+    return jsonResponse(404, { error: 'Conversation not found' });
+  }
+  
+  if (isExport) {
+    if (method !== 'GET') return jsonResponse(405, { error: 'Method not allowed' });
+    const messages = owned.messages || await getConversationMessages(conversationId);
+    const exported = buildConversationExport(conversationId, owned.meta, messages);
+    
+    if ((query.format || 'json').toLowerCase() === 'markdown') {
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/markdown; charset=utf-8',
+          'Content-Disposition': `attachment; filename="conversation-${conversationId}.md"`,
+          'Access-Control-Allow-Origin': '*'
+        },
+        body: conversationExportToMarkdown(exported)
+      };
+    }
+    return jsonResponse(200, exported, { 'Content-Disposition': `attachment; filename="conversation-${conversationId}.json"` });
+  }
+  
+  if (method === 'PATCH') {
+    const { title } = body;
+    if (!await renameConversation(conversationId, userId, title)) {
+      return jsonResponse(404, { error: 'Conversation not found' });
     }
+    return jsonResponse(200, { conversationId, title });
   }
   
-  // Use full response as story if not split
-  if (!data.story) {
-    data.story = response;
+  if (method === 'DELETE') {
+    const deleted = await deleteConversation(conversationId);
+    console.log(`[Conversations] Deleted ${conversationId} (${deleted} messages)`);
+    return jsonResponse(200, { conversationId, deleted: true, messagesDeleted: deleted });
   }
   
-  // Clean up story (remove markdown, headers, etc.)
-  data.story = data.story
-    .replace(/^#+\s*/gm, '') // Remove markdown headers
-    .replace(/\*\*(.+?)\*\*/g, '$1') // Remove bold
-    .replace(/\*(.+?)\*/g, '$1') // Remove italic
-    .replace(/^---+\s*$/gm, '') // Remove horizontal rules
-    .trim();
-  
-  return data;
-}
+  return jsonResponse(405, { error: 'Method not allowed' });
+};
 
-const handleDatabaseQuery = async (query, userId) => {
-  // Parse intent and timeframe
-  const intent = parseIntent(query);
-  
-  switch(intent.type) {
-    case 'GET_PACE':
-      return await getPace(userId, intent.timeframe);
-    case 'GET_DISTANCE':
-      return await getDistance(userId, intent.timeframe);
-    case 'GET_LAST_ACTIVITY':
-      return await getLastActivity(userId, intent.activityType);
-    case 'GET_PR':
-      return await getPersonalRecord(userId, intent.activityType, intent.metric);
-    case 'GET_COUNT':
-      return await getActivityCount(userId, intent.activityType, intent.timeframe);
-    default:
-      return null; // Fallback to AI
+// --- Response Streaming (SSE) ---
+// Clients opt in on POST /query with `stream: true` in the body or `Accept: text/event-stream`.
+// Only the streamHandler export (Lambda function URL, RESPONSE_STREAM mode) can stream;
+// exports.handler always returns the regular JSON response.
+const wantsStream = (event) => {
+  const accept = event.headers?.accept || event.headers?.Accept || '';
+  if (accept.includes('text/event-stream')) return true;
+  try {
+    return JSON.parse(event.body || '{}').stream === true;
+  } catch (e) {
+    return false;
   }
 };
 
-const parseIntent = (query) => {
-  const lowerQuery = query.toLowerCase();
-  
-  // Pace queries
-  if (/pace/.test(lowerQuery)) {
-    return {
-      type: 'GET_PACE',
-      timeframe: parseTimeframe(query)
-    };
+// Wrap a Lambda response stream as an SSE writer: send('thinking', {...}) → "event: thinking\ndata: {...}\n\n"
+const createSSEStream = (responseStream) => ({
+  send: (eventName, data) => {
+    responseStream.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
   }
-  
-  // Distance queries
-  if (/distance|miles|km/.test(lowerQuery)) {
-    return {
-      type: 'GET_DISTANCE',
-      timeframe: parseTimeframe(query)
+});
+
+// Thinking trace that also relays each stage to the client when streaming
+const createThinkingTrace = (stream = null) => {
+  const trace = [];
+  if (stream) {
+    trace.push = (...stages) => {
+      stages.forEach(stage => stream.send('thinking', { stage }));
+      return Array.prototype.push.apply(trace, stages);
     };
   }
-  
-  // Last activity
-  if (/last|recent|latest/.test(lowerQuery)) {
-    return {
-      type: 'GET_LAST_ACTIVITY',
-      activityType: parseActivityType(query)
-    };
+  return trace;
+};
+
+const streamingHandler = async (event, responseStream) => {
+  // Function URLs may deliver the body base64 encoded
+  if (event.isBase64Encoded && event.body) {
+    event = { ...event, body: Buffer.from(event.body, 'base64').toString('utf8'), isBase64Encoded: false };
   }
   
-  // PR queries
-  if (/pr|personal record|best|fastest/.test(lowerQuery)) {
-    return {
-      type: 'GET_PR',
-      activityType: parseActivityType(query),
-      metric: parseMetric(query)
-    };
-  }
+  // Route first - only a POST /query that passed auth and validation is streamed
+  const prepared = await prepareRoute(event);
+  if (prepared.response || !prepared.route.streams || !wantsStream(event)) {
+    // Not opted in, not a streaming route, or stopped by the router - relay the regular JSON response
+    const result = prepared.response || await invokeRoute(event, prepared);
+    responseStream = awslambda.HttpResponseStream.from(responseStream, {
+      statusCode: result.statusCode,
+      headers: result.headers || { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+    });
+    responseStream.write(result.body);
+    responseStream.end();
+    return;
+  }
+  
+  responseStream = awslambda.HttpResponseStream.from(responseStream, {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      ...CORS_HEADERS,
+      'X-Request-Id': prepared.requestId
+    }
+  });
+  const stream = createSSEStream(responseStream);
   
-  // Count queries
-  if (/how many/.test(lowerQuery)) {
-    return {
-      type: 'GET_COUNT',
-      activityType: parseActivityType(query),
-      timeframe: parseTimeframe(query)
-    };
+  try {
+    // invokeRoute applies the same error envelope (code, requestId) as the JSON path
+    const result = await invokeRoute(event, prepared, stream);
+    const body = JSON.parse(result.body);
+    if (result.statusCode === 200) {
+      // Closing event carries everything that's only known at the end (actions, tokensUsed, title, ...)
+      stream.send('done', body);
+    } else {
+      stream.send('error', { statusCode: result.statusCode, ...body });
+    }
+  } catch (error) {
+    console.error('[Stream] ❌ Streaming request failed:', error);
+    stream.send('error', { statusCode: 500, error: error.message, code: ERROR_CODES[500], requestId: prepared.requestId });
   }
-  
-  return { type: 'UNKNOWN' };
+  responseStream.end();
 };
 
-const parseTimeframe = (query) => {
-  const lowerQuery = query.toLowerCase();
-  const now = Date.now();
+// Admin entry points, invoked directly (not through API Gateway)
+// { startKey?, maxItems? } → backfill progress; re-invoke with lastEvaluatedKey until done
+exports.backfillIdentities = async (event = {}, context = null) => backfillIdentityMappings({
+  startKey: event.startKey || null,
+  maxItems: event.maxItems || 5000,
+  remainingTimeMs: () => (context ? context.getRemainingTimeInMillis() : Infinity)
+});
+// { sourceUserId, targetUserId }
+exports.mergeAccounts = async (event) => mergeAccounts(event.sourceUserId, event.targetUserId);
+
+// awslambda is a global provided by the Lambda Node.js runtime
+if (typeof awslambda !== 'undefined') {
+  exports.streamHandler = awslambda.streamifyResponse(streamingHandler);
+}
+
+// 402 response with a personalized upsell
+const buildInsufficientTokensResponse = (requiredTokens, tokenBalance, classification) => {
+  // Get user's subscription status to provide personalized upsell
+  const hasSubscription = tokenBalance > 0; // Simple heuristic for now
+  
+  return jsonResponse(402, {
+    error: 'Insufficient tokens',
+    required: requiredTokens,
+    balance: tokenBalance,
+    queryType: classification.handler,
+    tier: classification.tier,
+    upsell: {
+      hasSubscription,
+      message: hasSubscription 
+        ? `You need ${requiredTokens} more tokens for this ${classification.handler === 'agent' ? 'advanced' : ''} query.`
+        : `This query requires ${requiredTokens} tokens to unlock AI-powered insights.`,
+      recommendation: hasSubscription
+        ? 'token_pack'  // Recommend one-time purchase
+        : 'subscription',  // Recommend monthly subscription
+      catalogVersion: PLAN_CATALOG_VERSION,
+      tokenPacks: TOKEN_PACKS,
+      subscriptions: getPlanCatalog().plans.map(plan => ({
+        id: plan.id,
+        name: plan.name,
+        tokens: plan.tokens,
+        price: plan.monthlyPrice,
+        perDay: plan.perDay
+      }))
+    }
+  });
+};
+
+// --- Image Input ---
+// Images arrive as base64 (`image`, or an `images[]` array for before/after shots or a plate plus
+// its nutrition label). The format is read from the file's magic bytes rather than trusted, and
+// anything over Bedrock's per-image limits is downscaled. Resizing needs `sharp` (Lambda layer);
+// without it oversized images are rejected instead.
+const MAX_IMAGES_PER_QUERY = 5;
+const BEDROCK_IMAGE_FORMATS = ['jpeg', 'png', 'gif', 'webp'];
+const BEDROCK_MAX_IMAGE_BYTES = Math.floor(3.75 * 1024 * 1024);
+const BEDROCK_MAX_IMAGE_DIMENSION = 8000;
+const DOWNSCALE_MAX_DIMENSION = 2048; // Plenty for food, equipment and form checks
+
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch (error) {
+  console.log('[Images] sharp not available - oversized images will be rejected, not resized');
+}
+
+const detectImageFormat = (buffer) => {
+  if (buffer.length < 12) return null;
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpeg';
+  if (buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'png';
+  const ascii = buffer.slice(0, 12).toString('latin1');
+  if (ascii.startsWith('GIF87a') || ascii.startsWith('GIF89a')) return 'gif';
+  if (ascii.startsWith('RIFF') && ascii.substring(8, 12) === 'WEBP') return 'webp';
+  if (ascii.substring(4, 8) === 'ftyp') {
+    const brand = ascii.substring(8, 12);
+    if (['heic', 'heix', 'hevc', 'hevx', 'mif1', 'msf1'].includes(brand)) return 'heic';
+    if (brand === 'avif') return 'avif';
+  }
+  return null;
+};
+
+// Width/height from the file header, without decoding the image
+const getImageDimensions = (buffer, format) => {
+  try {
+    if (format === 'png') {
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (format === 'gif') {
+      return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (format === 'webp') {
+      const chunk = buffer.slice(12, 16).toString('latin1');
+      if (chunk === 'VP8X') return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+      if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { width: 1 + (bits & 0x3FFF), height: 1 + ((bits >> 14) & 0x3FFF) };
+      }
+      if (chunk === 'VP8 ') return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+    }
+    if (format === 'jpeg') {
+      // Walk the segments to the first start-of-frame marker
+      let offset = 2;
+      while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xFF) return null;
+        const marker = buffer[offset + 1];
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+          return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+    }
+  } catch (error) {
+    console.log(`[Images] Could not read ${format} dimensions: ${error.message}`);
+  }
+  return null;
+};
+
+// Shrink until it fits Bedrock's limits (rotating per EXIF first, since that metadata is dropped)
+const downscaleImage = async (buffer, format) => {
+  let maxDimension = DOWNSCALE_MAX_DIMENSION;
+  // PNG screenshots can stay PNG; photos and everything else are re-encoded as JPEG
+  const outputFormat = format === 'png' ? 'png' : 'jpeg';
+  for (let attempt = 0; attempt < 4; attempt++) {
+    const pipeline = sharp(buffer).rotate().resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true });
+    const output = outputFormat === 'png'
+      ? await pipeline.png({ compressionLevel: 9 }).toBuffer({ resolveWithObject: true })
+      : await pipeline.jpeg({ quality: 85 }).toBuffer({ resolveWithObject: true });
+    if (output.data.length <= BEDROCK_MAX_IMAGE_BYTES) {
+      return { bytes: output.data, format: outputFormat, width: output.info.width, height: output.info.height };
+    }
+    maxDimension = Math.floor(maxDimension * 0.75);
+  }
+  throw new Error('could not be shrunk under the size limit');
+};
+
+// Decode, identify and size-check every image ([{ field, data }] with data in base64)
+// Returns { images: [{ format, bytes, width, height, resized }] } or { errors: [{ field, message }] }
+const prepareImages = async (encodedImages) => {
+  const images = [];
+  const errors = [];
   
-  if (/yesterday/.test(lowerQuery)) {
-    return {
-      start: now - 86400000 * 2,
-      end: now - 86400000
-    };
+  for (let index = 0; index < encodedImages.length; index++) {
+    const name = encodedImages[index].field;
+    const buffer = Buffer.from(encodedImages[index].data, 'base64');
+    const format = detectImageFormat(buffer);
+    
+    if (!format) {
+      errors.push({ field: name, message: 'is not a recognized image (send JPEG, PNG, GIF or WebP)' });
+      continue;
+    }
+    if (!BEDROCK_IMAGE_FORMATS.includes(format)) {
+      errors.push({ field: name, message: `is ${format.toUpperCase()}, which isn't supported - convert it to JPEG or PNG first` });
+      continue;
+    }
+    
+    const dimensions = getImageDimensions(buffer, format) || {};
+    const tooLarge = buffer.length > BEDROCK_MAX_IMAGE_BYTES ||
+      dimensions.width > BEDROCK_MAX_IMAGE_DIMENSION || dimensions.height > BEDROCK_MAX_IMAGE_DIMENSION;
+    if (!tooLarge) {
+      images.push({ format, bytes: buffer, width: dimensions.width || null, height: dimensions.height || null, resized: false });
+      continue;
+    }
+    
+    if (!sharp) {
+      errors.push({ field: name, message: `is too large (max ${BEDROCK_MAX_IMAGE_DIMENSION}px per side and ${(BEDROCK_MAX_IMAGE_BYTES / 1024 / 1024).toFixed(2)} MB)` });
+      continue;
+    }
+    try {
+      const resized = await downscaleImage(buffer, format);
+      console.log(`[Images] Downscaled ${name}: ${format} ${dimensions.width}x${dimensions.height} ${buffer.length}B → ${resized.format} ${resized.width}x${resized.height} ${resized.bytes.length}B`);
+      images.push({ ...resized, resized: true });
+    } catch (error) {
+      errors.push({ field: name, message: `is too large and ${error.message}` });
+    }
   }
   
-  if (/today/.test(lowerQuery)) {
-    const startOfDay = new Date().setHours(0, 0, 0, 0);
-    return {
-      start: startOfDay,
-      end: now
-    };
+  return errors.length > 0 ? { errors } : { images };
+};
+
+// --- Form Clips ---
+// A form check can come with a short clip instead of a still: either a video the app uploaded to
+// S3 (POST /form-videos hands out the upload URL) or frames the app sampled itself, each with its
+// timestamp - or, from the shipped app, plain base64 key frames that are numbered in order instead.
+// Either way the model reviews the set rep by rep and returns where each rep starts and ends.
+const FORM_VIDEO_BUCKET = process.env.FORM_VIDEO_BUCKET || process.env.MEDITATION_AUDIO_BUCKET;
+const FORM_VIDEO_PREFIX = 'form-videos';
+const FORM_VIDEO_FORMATS = { mp4: 'video/mp4', mov: 'video/quicktime', webm: 'video/webm', mkv: 'video/x-matroska' };
+const MAX_FORM_VIDEO_BYTES = 100 * 1024 * 1024; // ~1 min of phone video - plenty for one set
+const FORM_VIDEO_UPLOAD_TTL_SECONDS = 600;
+const MAX_FORM_FRAMES = 20; // Converse's image limit per message
+const MAX_FORM_CLIP_SECONDS = 600;
+const FORM_CLIP_TOKENS = 10; // Reserved for a clip review (Nova Pro with many frames); settled against metered usage
+
+const FORM_VIDEO_REQUEST_SCHEMA = {
+  format: { type: 'string', required: true, oneOf: Object.keys(FORM_VIDEO_FORMATS) }
+};
+
+// Pre-signed PUT for one clip, under the caller's own prefix so no one can point at another user's video
+const handleFormVideoUploadRoute = async (event, userId) => {
+  const parsed = parseRequestBody(event, FORM_VIDEO_REQUEST_SCHEMA);
+  if (parsed.response) {
+    return parsed.response;
+  }
+  if (!FORM_VIDEO_BUCKET) {
+    console.error('[FormClip] ❌ FORM_VIDEO_BUCKET environment variable not set');
+    return jsonResponse(500, { error: 'Video uploads are not configured' });
   }
   
-  if (/this week/.test(lowerQuery)) {
-    const startOfWeek = now - (new Date().getDay() * 86400000);
-    return {
-      start: startOfWeek,
-      end: now
-    };
+  const format = parsed.body.format;
+  const videoKey = `${FORM_VIDEO_PREFIX}/${userId}/${require('crypto').randomUUID()}.${format}`;
+  const uploadUrl = s3.getSignedUrl('putObject', {
+    Bucket: FORM_VIDEO_BUCKET,
+    Key: videoKey,
+    ContentType: FORM_VIDEO_FORMATS[format],
+    Expires: FORM_VIDEO_UPLOAD_TTL_SECONDS
+  });
+  console.log(`[FormClip] ✅ Upload URL issued for ${videoKey}`);
+  
+  return jsonResponse(200, {
+    videoKey,
+    uploadUrl,
+    contentType: FORM_VIDEO_FORMATS[format],
+    maxBytes: MAX_FORM_VIDEO_BYTES,
+    expiresIn: FORM_VIDEO_UPLOAD_TTL_SECONDS
+  });
+};
+
+// Turn videoKey / frames from the request body into Converse media for the model
+// Returns { clip: null } (no clip sent), { clip: { source, media, ... } } or { errors: [{ field, message }] }
+const prepareFormClip = async (requestBody, userId) => {
+  const { videoKey } = requestBody;
+  const frames = requestBody.frames && requestBody.frames.length > 0 ? requestBody.frames : null; // The app may send [] if extraction failed
+  if (!videoKey && !frames) {
+    return { clip: null };
+  }
+  if (videoKey && frames) {
+    return { errors: [{ field: 'frames', message: 'cannot be sent together with videoKey' }] };
   }
   
-  if (/this month/.test(lowerQuery)) {
-    const startOfMonth = new Date(new Date().getFullYear(), new Date().getMonth(), 1).getTime();
+  if (videoKey) {
+    if (!videoKey.startsWith(`${FORM_VIDEO_PREFIX}/${userId}/`)) {
+      return { errors: [{ field: 'videoKey', message: 'does not belong to this account' }] };
+    }
+    if (!FORM_VIDEO_BUCKET) {
+      throw new Error('FORM_VIDEO_BUCKET environment variable not set');
+    }
+    let head;
+    try {
+      head = await s3.headObject({ Bucket: FORM_VIDEO_BUCKET, Key: videoKey }).promise();
+    } catch (error) {
+      if (error.code === 'NotFound' || error.statusCode === 404) {
+        return { errors: [{ field: 'videoKey', message: 'was not found - upload the clip first' }] };
+      }
+      throw error;
+    }
+    if (head.ContentLength > MAX_FORM_VIDEO_BYTES) {
+      return { errors: [{ field: 'videoKey', message: `is ${(head.ContentLength / 1024 / 1024).toFixed(0)} MB; the limit is ${MAX_FORM_VIDEO_BYTES / 1024 / 1024} MB` }] };
+    }
+    const format = videoKey.split('.').pop().toLowerCase();
+    console.log(`[FormClip] Video ${videoKey} (${format}, ${head.ContentLength} bytes)`);
     return {
-      start: startOfMonth,
-      end: now
+      clip: {
+        source: 'video',
+        videoKey,
+        media: [{ kind: 'video', format, bytes: head.ContentLength, s3Uri: `s3://${FORM_VIDEO_BUCKET}/${videoKey}` }]
+      }
     };
   }
   
-  // Default to last 7 days
+  // Sampled frames: order by time and label each so the model can cite timestamps
+  // Plain base64 strings (the shipped app's evenly spaced key frames) are numbered in order instead
+  const estimated = frames.some(frame => typeof frame === 'string');
+  const ordered = frames
+    .map((frame, index) => typeof frame === 'string'
+      ? { image: frame, timestamp: index, field: `frames[${index}]` }
+      : { ...frame, field: `frames[${index}].image` })
+    .sort((a, b) => a.timestamp - b.timestamp);
+  const prepared = await prepareImages(ordered.map(frame => ({ field: frame.field, data: frame.image })));
+  if (prepared.errors) {
+    return { errors: prepared.errors };
+  }
+  console.log(estimated
+    ? `[FormClip] ${ordered.length} evenly spaced frames (no timestamps)`
+    : `[FormClip] ${ordered.length} frames covering ${ordered[0].timestamp}s-${ordered[ordered.length - 1].timestamp}s`);
   return {
-    start: now - (7 * 86400000),
-    end: now
+    clip: {
+      source: 'frames',
+      frameCount: ordered.length,
+      timestampsEstimated: estimated,
+      media: prepared.images.map((image, index) => ({
+        ...image,
+        label: estimated ? `Frame ${index + 1} of ${ordered.length}:` : `Frame at ${ordered[index].timestamp.toFixed(1)}s:`
+      }))
+    }
   };
 };
 
-const parseActivityType = (query) => {
-  const lowerQuery = query.toLowerCase();
-  
-  if (/run|running/.test(lowerQuery)) return 'runs';
-  if (/bike|biking|cycling/.test(lowerQuery)) return 'bikes';
-  if (/hike|hiking/.test(lowerQuery)) return 'hikes';
-  if (/workout|strength/.test(lowerQuery)) return 'workouts';
-  if (/swim|swimming/.test(lowerQuery)) return 'swims';
-  
-  return 'runs'; // Default
-};
+const FORM_RATINGS = ['good', 'minor', 'major'];
 
-const parseMetric = (query) => {
-  const lowerQuery = query.toLowerCase();
-  
-  if (/pace/.test(lowerQuery)) return 'avgPace';
-  if (/distance/.test(lowerQuery)) return 'distance';
-  if (/time|duration/.test(lowerQuery)) return 'duration';
-  
-  return 'distance'; // Default
+const toSeconds = (value) => {
+  const seconds = typeof value === 'string' ? parseFloat(value) : value;
+  return Number.isFinite(seconds) && seconds >= 0 ? Math.round(seconds * 10) / 10 : null;
 };
 
-const getPace = async (userId, timeframe) => {
-  const params = {
-    TableName: 'prod-runs',
-    IndexName: 'user-time-index',
-    KeyConditionExpression: 'userId = :userId AND startTime BETWEEN :start AND :end',
-    ExpressionAttributeValues: {
-      ':userId': userId,
-      ':start': timeframe.start,
-      ':end': timeframe.end
-    },
-    Limit: 1,
-    ScanIndexForward: false
-  };
-  
-  const result = await dynamodb.query(params).promise();
-  
-  if (result.Items.length === 0) {
-    return "You don't have any runs for that timeframe.";
+// Per-rep breakdown from the ```json block the form-clip prompt asks for
+// Returns null when the model didn't produce a usable block (the text analysis still goes out)
+const parseFormFeedback = (response) => {
+  const match = response.match(/```json\s*\n?([\s\S]*?)\n?```/);
+  if (!match) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(match[1].trim());
+  } catch (error) {
+    console.error(`[FormClip] ⚠️ Could not parse form feedback JSON: ${error.message}`);
+    return null;
   }
+  if (!parsed || !Array.isArray(parsed.reps)) return null;
   
-  const run = result.Items[0];
-  const pace = formatPace(run.avgPace);
-  const distance = formatDistance(run.distance);
-  const date = formatDate(run.startTime);
+  const strings = (list) => (Array.isArray(list) ? list : []).filter(item => typeof item === 'string' && item.trim()).map(item => item.trim());
+  const reps = parsed.reps
+    .filter(rep => rep && typeof rep === 'object')
+    .map((rep, index) => {
+      const start = toSeconds(rep.start);
+      const end = toSeconds(rep.end);
+      const rating = String(rep.rating || '').toLowerCase();
+      return {
+        rep: Number.isInteger(rep.rep) ? rep.rep : index + 1,
+        start,
+        end: end !== null && start !== null && end < start ? start : end,
+        rating: FORM_RATINGS.includes(rating) ? rating : null,
+        issues: strings(rep.issues),
+        cues: strings(rep.cues)
+      };
+    })
+    .sort((a, b) => (a.start ?? Infinity) - (b.start ?? Infinity));
   
-  return `Your pace on ${date} was ${pace} over ${distance}.`;
+  return {
+    exercise: typeof parsed.exercise === 'string' ? parsed.exercise : null,
+    reps,
+    summary: typeof parsed.summary === 'string' ? parsed.summary : null,
+    recommendations: strings(parsed.recommendations),
+    analysis: response.replace(match[0], '').trim()
+  };
 };
 
-const getDistance = async (userId, timeframe) => {
-  const params = {
-    TableName: 'prod-runs',
-    IndexName: 'user-time-index',
-    KeyConditionExpression: 'userId = :userId AND startTime BETWEEN :start AND :end',
-    ExpressionAttributeValues: {
-      ':userId': userId,
-      ':start': timeframe.start,
-      ':end': timeframe.end
+const buildFormClipPrompt = (query, intent) => {
+  const numbered = intent.params.source === 'frames' && intent.params.timestampsEstimated;
+  const source = intent.params.source === 'video'
+    ? 'a video clip of the set'
+    : numbered
+      ? `${intent.params.frameCount} evenly spaced frames sampled from a video of the set, numbered in order`
+      : `${intent.params.frameCount} frames sampled from a video of the set, each labelled with its timestamp`;
+  return `${query}
+
+CRITICAL: You are reviewing exercise form from ${source}. Go through the set rep by rep.
+- Identify the exercise and count the reps you can actually see
+- ${numbered ? 'For each rep give the numbers of its first and last frame as start and end' : `For each rep give its start and end time in seconds from the beginning of the clip${intent.params.source === 'frames' ? ' (use the frame timestamps)' : ''}`}
+- Rate each rep "good", "minor" (small fault) or "major" (injury risk or wasted rep)
+- List the specific issues you see in that rep (depth, bar path, knee tracking, back position, tempo, lockout...) and one or two short coaching cues
+- Only describe what is visible - if the angle hides something, say so instead of guessing
+
+Start with a short spoken-style summary for the user (2-4 sentences), then end your response with exactly one JSON block:
+\`\`\`json
+{"exercise": "Back squat", "summary": "...", "reps": [{"rep": 1, "start": 0.0, "end": 2.4, "rating": "good", "issues": [], "cues": ["..."]}], "recommendations": ["..."]}
+\`\`\``;
+};
+
+// --- Request Validation ---
+// Declarative body schemas, checked before auth, token checks or any DynamoDB call.
+// Unknown fields are ignored so older and newer app versions keep working; null counts as absent.
+const MAX_QUERY_LENGTH = 10000; // Enriched queries carry client-side context
+const MAX_IMAGE_BYTES = 7 * 1024 * 1024; // Decoded; API Gateway caps the whole body at 10 MB
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+const QUERY_REQUEST_SCHEMA = {
+  query: { type: 'string', required: true, trim: true, minLength: 1, maxLength: MAX_QUERY_LENGTH },
+  sessionId: { type: 'string', maxLength: 128, pattern: /^[A-Za-z0-9._:-]+$/ },
+  image: { type: 'base64', maxBytes: MAX_IMAGE_BYTES },
+  images: { type: 'array', maxItems: MAX_IMAGES_PER_QUERY, items: { type: 'base64', maxBytes: MAX_IMAGE_BYTES } },
+  videoKey: { type: 'string', maxLength: 512, pattern: /^[A-Za-z0-9._:/-]+\.(mp4|mov|webm|mkv)$/ }, // From POST /form-videos
+  frames: {
+    type: 'array',
+    maxItems: MAX_FORM_FRAMES,
+    items: {
+      type: 'anyOf',
+      rules: [
+        {
+          type: 'object',
+          fields: {
+            image: { type: 'base64', required: true, maxBytes: MAX_IMAGE_BYTES },
+            timestamp: { type: 'number', required: true, min: 0, max: MAX_FORM_CLIP_SECONDS } // Seconds into the clip
+          }
+        },
+        { type: 'base64', maxBytes: MAX_IMAGE_BYTES } // Shipped app: plain base64 key frames, evenly spaced, no timestamps
+      ]
     }
-  };
-  
-  const result = await dynamodb.query(params).promise();
-  
-  const totalDistance = result.Items.reduce((sum, item) => sum + (item.distance || 0), 0);
-  const count = result.Items.length;
-  
-  return `You ran ${formatDistance(totalDistance)} across ${count} runs.`;
+  },
+  timestamp: { type: 'isoTimestamp' },
+  locale: { type: 'string', maxLength: 64 }, // en_US or an IANA zone like America/New_York
+  isVoiceInput: { type: 'boolean' },
+  mixAmbient: { type: 'boolean' }, // Also return an existing pre-mixed track (mixedAudioUrl); POST /meditations/audio makes new ones
+  latitude: { type: 'number', min: -90, max: 90, with: 'longitude' },
+  longitude: { type: 'number', min: -180, max: 180, with: 'latitude' },
+  stream: { type: 'boolean' },
+  conversationHistory: { type: 'array' } // Sent by older apps; history now comes from DynamoDB
 };
 
-const getLastActivity = async (userId, activityType) => {
-  try {
-    const params = {
-      TableName: `prod-${activityType}`,
-      IndexName: 'user-time-index',
-      KeyConditionExpression: 'userId = :userId',
-      ExpressionAttributeValues: {
-        ':userId': userId
-      },
-      Limit: 1,
-      ScanIndexForward: false // Get most recent first
-    };
-    
-    console.log(`[DB] Querying ${activityType} for user ${userId}`);
-    const result = await dynamodb.query(params).promise();
-    console.log(`[DB] Found ${result.Items.length} ${activityType}`);
-    
-    if (result.Items.length === 0) {
-      return `You don't have any ${activityType} recorded yet. Start tracking your activities to see insights here!`;
+const QUOTE_REQUEST_SCHEMA = {
+  query: QUERY_REQUEST_SCHEMA.query,
+  image: QUERY_REQUEST_SCHEMA.image,
+  images: QUERY_REQUEST_SCHEMA.images,
+  videoKey: QUERY_REQUEST_SCHEMA.videoKey,
+  frames: QUERY_REQUEST_SCHEMA.frames
+};
+
+// Check one field; returns [error message or null, normalized value]
+const validateField = (rule, value) => {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return ['must be a string'];
+      const text = rule.trim ? value.trim() : value;
+      if (rule.minLength && text.length < rule.minLength) return [rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters`];
+      if (rule.maxLength && text.length > rule.maxLength) return [`must be at most ${rule.maxLength} characters`];
+      if (rule.pattern && !rule.pattern.test(text)) return ['has invalid characters'];
+      if (rule.oneOf && !rule.oneOf.includes(text)) return [`must be one of ${rule.oneOf.join(', ')}`];
+      return [null, text];
+    }
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return ['must be a number'];
+      if (value < rule.min || value > rule.max) return [`must be between ${rule.min} and ${rule.max}`];
+      return [null, value];
+    case 'boolean':
+      return typeof value === 'boolean' ? [null, value] : ['must be true or false'];
+    case 'array':
+      if (!Array.isArray(value)) return ['must be an array'];
+      if (rule.minItems && value.length < rule.minItems) return [`must have at least ${rule.minItems} items`];
+      if (rule.maxItems && value.length > rule.maxItems) return [`must have at most ${rule.maxItems} items`];
+      return [null, value];
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return ['must be an object'];
+      if (!rule.fields) return [null, value];
+      const nested = validateBody(value, rule.fields);
+      return nested.errors ? [nested.errors.map(e => `${e.field} ${e.message}`).join(', ')] : [null, nested.value];
+    }
+    case 'anyOf': {
+      // First rule that accepts the value; otherwise the error from the rule matching its JSON type
+      const results = rule.rules.map(option => validateField(option, value));
+      const accepted = results.find(([message]) => !message);
+      if (accepted) return accepted;
+      const typeMatch = rule.rules.findIndex(option => (option.type === 'object') === (typeof value === 'object'));
+      return results[typeMatch >= 0 ? typeMatch : 0];
+    }
+    case 'isoTimestamp':
+      if (typeof value !== 'string' || !ISO_TIMESTAMP_PATTERN.test(value) || isNaN(Date.parse(value))) {
+        return ['must be an ISO 8601 timestamp like 2026-10-18T07:30:00Z'];
+      }
+      return [null, value];
+    case 'base64': {
+      if (typeof value !== 'string') return ['must be a base64 string'];
+      const encoded = value.replace(/\s+/g, ''); // Some encoders wrap lines
+      if (!encoded || encoded.length % 4 !== 0 || !BASE64_PATTERN.test(encoded)) return ['must be valid base64'];
+      const bytes = (encoded.length / 4) * 3 - (encoded.match(/=+$/) || [''])[0].length;
+      if (rule.maxBytes && bytes > rule.maxBytes) {
+        return [`is ${(bytes / 1024 / 1024).toFixed(1)} MB; the limit is ${rule.maxBytes / 1024 / 1024} MB`];
+      }
+      return [null, encoded];
     }
-    
-    const activity = result.Items[0];
-    const date = formatDate(activity.startTime);
-    const distance = formatDistance(activity.distance);
-    const duration = formatDuration(activity.duration);
-    const pace = activity.pace ? formatPace(activity.pace) : null;
-    
-    let response = `Your last ${activityType.slice(0, -1)} was on ${date}: ${distance} in ${duration}`;
-    if (pace && activityType === 'runs') {
-      response += ` at ${pace}/mi pace`;
+    default:
+      return [null, value];
+  }
+};
+
+// { value } with normalized fields, or { errors: [{ field, message }] }
+const validateBody = (body, schema) => {
+  const errors = [];
+  const value = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = body[field];
+    if (raw === undefined || raw === null) {
+      if (rule.required) errors.push({ field, message: 'is required' });
+      continue;
     }
-    if (activity.calories) {
-      response += `. You burned ${activity.calories} calories`;
+    const [message, normalized] = validateField(rule, raw);
+    if (message) {
+      errors.push({ field, message });
+      continue;
+    }
+    // Array items get their own field names (images[1])
+    if (rule.items) {
+      const items = [];
+      normalized.forEach((item, index) => {
+        const [itemMessage, itemValue] = item === null || item === undefined
+          ? ['is required']
+          : validateField(rule.items, item);
+        if (itemMessage) {
+          errors.push({ field: `${field}[${index}]`, message: itemMessage });
+        } else {
+          items.push(itemValue);
+        }
+      });
+      value[field] = items;
+    } else {
+      value[field] = normalized;
+    }
+  }
+  // Fields that only make sense together (latitude/longitude)
+  for (const [field, rule] of Object.entries(schema)) {
+    if (rule.with && value[field] !== undefined && (body[rule.with] === undefined || body[rule.with] === null)) {
+      errors.push({ field: rule.with, message: `is required when ${field} is given` });
     }
-    response += '.';
-    
-    return response;
-  } catch (error) {
-    console.error(`[DB ERROR] Failed to query ${activityType}:`, error);
-    return null; // Fallback to AI
   }
+  return errors.length > 0 ? { errors } : { value };
 };
 
-const getPersonalRecord = async (userId, activityType, metric) => {
+// Parse and validate a JSON body: { body } or { response } (a 400 listing every bad field)
+const parseRequestBody = (event, schema) => {
+  let body;
   try {
-    const params = {
-      TableName: `prod-${activityType}`,
-      IndexName: 'user-time-index',
-      KeyConditionExpression: 'userId = :userId',
-      ExpressionAttributeValues: {
-        ':userId': userId
-      }
-    };
-    
-    console.log(`[DB] Querying PRs for ${activityType}, user ${userId}`);
-    const result = await dynamodb.query(params).promise();
-    
-    if (result.Items.length === 0) {
-      return `You don't have any ${activityType} recorded yet.`;
-    }
-    
-    const best = result.Items.reduce((best, current) => {
-      if (metric === 'pace') {
-        return (current.pace && current.pace < best.pace) ? current : best;
-      } else if (metric === 'distance') {
-        return (current.distance && current.distance > best.distance) ? current : best;
-      }
-      return best;
-    });
-    
-    const value = metric === 'pace' ? formatPace(best.pace) : formatDistance(best.distance);
-    const date = formatDate(best.startTime);
-    
-    return `Your PR for ${activityType} is ${value}, set on ${date}.`;
+    const raw = event.isBase64Encoded && event.body ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+    body = JSON.parse(raw || '{}');
   } catch (error) {
-    console.error(`[DB ERROR] Failed to get PR:`, error);
-    return null;
+    return { response: jsonResponse(400, { error: 'Request body must be valid JSON', code: 'InvalidJson' }) };
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { response: jsonResponse(400, { error: 'Request body must be a JSON object', code: 'InvalidJson' }) };
+  }
+  
+  const result = validateBody(body, schema);
+  if (result.errors) {
+    console.log(`[Validation] ❌ ${result.errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+    return {
+      response: jsonResponse(400, {
+        error: `Invalid request: ${result.errors.map(e => `${e.field} ${e.message}`).join('; ')}`,
+        code: 'ValidationFailed',
+        fields: result.errors
+      })
+    };
   }
+  return { body: result.value };
 };
 
-const getActivityCount = async (userId, activityType, timeframe) => {
-  const params = {
-    TableName: `prod-${activityType}`,
-    IndexName: 'user-time-index',
-    KeyConditionExpression: 'userId = :userId AND startTime BETWEEN :start AND :end',
-    ExpressionAttributeValues: {
-      ':userId': userId,
-      ':start': timeframe.start,
-      ':end': timeframe.end
-    }
-  };
+// --- API Router ---
+// method + path → handler. The router owns what every route shares: CORS (including preflight),
+// resolving the caller's userId, and the error envelope. Success bodies are route-specific and
+// unchanged; every error body is { error, code, requestId, ...details } so the app can branch on code.
+const ERROR_CODES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  402: 'InsufficientTokens',
+  403: 'Forbidden',
+  404: 'NotFound',
+  405: 'MethodNotAllowed',
+  409: 'Conflict',
+  500: 'InternalError'
+};
+
+// Raw FACTS the model would see, for inspecting what Genie knows about a user
+const handleDebugRoute = async (event, userId) => {
+  console.log(`[Debug] Resolved userId: ${userId}`);
+  const userContext = await getUserContext(userId);
   
-  const result = await dynamodb.query(params).promise();
+  // Build the same FACTS JSON that would be sent to the AI
+  const factsJSON = {
+    user: {
+      name: userContext.name,
+      goals: userContext.goals,
+      streak_days: userContext.streak
+    },
+    last_workout: userContext.lastWorkout || null,
+    patterns: {
+      weekly_mileage: userContext.patterns.weeklyMileage,
+      avg_pace: userContext.patterns.avgPace,
+      workouts_this_week: userContext.patterns.workoutsThisWeek,
+      consistency: userContext.patterns.consistency,
+      needs_recovery: userContext.patterns.needsRecovery
+    },
+    recent_runs: userContext.recentRuns.map(r => ({
+      distance_mi: r.distance,
+      pace: r.pace,
+      date: new Date(r.date).toISOString()
+    })),
+    recent_bikes: userContext.recentBikes.map(b => ({
+      distance_mi: b.distance,
+      speed_mph: b.speed,
+      date: new Date(b.date).toISOString()
+    })),
+    meditation_sessions: userContext.meditation.length
+  };
   
-  return `You have ${result.Items.length} ${activityType} in that timeframe.`;
+  return jsonResponse(200, {
+    userId,
+    timestamp: new Date().toISOString(),
+    facts: factsJSON,
+    metadata: {
+      runs_count: userContext.recentRuns.length,
+      bikes_count: userContext.recentBikes.length,
+      meditation_count: userContext.meditation.length,
+      has_stats: !!userContext.patterns.weeklyMileage && userContext.patterns.weeklyMileage !== '0'
+    }
+  });
 };
 
-// Formatting helpers
-const formatPaceFromSeconds = (seconds) => {
-  const mins = Math.floor(seconds / 60);
-  const secs = Math.floor(seconds % 60);
-  return `${mins}:${secs.toString().padStart(2, '0')}/mile`;
+// Routes need the caller's userId unless marked auth: false; bodies are checked against schema first.
+// Handlers are called with (event, userId, { method, path, body }) - path without the stage prefix
+const ROUTES = [
+  { methods: ['POST'], pattern: /^\/(query)?$/, schema: QUERY_REQUEST_SCHEMA, streams: true, handler: (event, userId, request, stream) => handleQuery(event, stream, userId) },
+  { methods: ['GET'], pattern: /^\/tokens\/balance$/, handler: (event, userId) => handleTokenBalanceRoute(event, userId) },
+  { methods: ['GET'], pattern: /^\/plans$/, auth: false, handler: (event) => handlePlansRoute(event) },
+  { methods: ['GET'], pattern: /^\/usage$/, handler: (event, userId) => handleUsageRoute(event, userId) },
+  { methods: ['POST'], pattern: /^\/form-videos$/, schema: FORM_VIDEO_REQUEST_SCHEMA, handler: (event, userId) => handleFormVideoUploadRoute(event, userId) },
+  { methods: ['POST'], pattern: /^\/meditations\/audio$/, schema: MEDITATION_AUDIO_REQUEST_SCHEMA, handler: (event, userId) => handleMeditationAudioRoute(event, userId) },
+  { methods: ['GET', 'PUT'], pattern: /^\/voices$/, handler: (event, userId) => handleVoicesRoute(event, userId) },
+  { methods: ['POST'], pattern: /^\/quote$/, schema: QUOTE_REQUEST_SCHEMA, handler: (event, userId) => handleQuoteRoute(event, userId) },
+  { methods: ['GET'], pattern: /^\/conversations$/, handler: (event, userId, request) => handleConversationsRoute(event, userId, request) },
+  { methods: ['DELETE'], pattern: /^\/conversations\/[^/]+$/, handler: (event, userId, request) => handleConversationsRoute(event, userId, request) },
+  { methods: ['PATCH'], pattern: /^\/conversations\/[^/]+$/, schema: CONVERSATION_UPDATE_SCHEMA, handler: (event, userId, request) => handleConversationsRoute(event, userId, request) },
+  { methods: ['GET'], pattern: /^\/conversations\/[^/]+\/export$/, handler: (event, userId, request) => handleConversationsRoute(event, userId, request) },
+  { methods: ['GET'], pattern: /^\/debug$/, handler: (event, userId) => handleDebugRoute(event, userId) }
+];
+
+const getRequestMethod = (event) => (event.requestContext?.http?.method || event.httpMethod || 'POST').toUpperCase();
+
+// Path without a trailing slash or an HTTP API stage prefix (/prod/tokens/balance → /tokens/balance)
+const getRoutePath = (event) => {
+  let path = event.rawPath || event.path || '/';
+  const stage = event.requestContext?.stage;
+  if (stage && stage !== '$default' && path.startsWith(`/${stage}/`)) {
+    path = path.substring(stage.length + 1);
+  }
+  return path.replace(/\/+$/, '') || '/';
 };
 
-const formatDistance = (meters) => {
-  const miles = meters / 1609.34;
-  return `${miles.toFixed(2)} miles`;
+// Fill in the parts every response shares
+const withEnvelope = (response, requestId) => {
+  const headers = { 'Content-Type': 'application/json', ...CORS_HEADERS, ...(response.headers || {}), 'X-Request-Id': requestId };
+  if (response.statusCode < 400) {
+    return { ...response, headers };
+  }
+  
+  let body;
+  try {
+    body = JSON.parse(response.body || '{}');
+  } catch (e) {
+    body = { error: response.body };
+  }
+  return {
+    ...response,
+    headers,
+    body: JSON.stringify({
+      ...body,
+      error: body.error || 'Request failed',
+      code: body.code || ERROR_CODES[response.statusCode] || 'Error',
+      requestId
+    })
+  };
 };
 
-const formatDuration = (seconds) => {
-  const hours = Math.floor(seconds / 3600);
-  const mins = Math.floor((seconds % 3600) / 60);
-  return hours > 0 ? `${hours}h ${mins}m` : `${mins}m`;
+// Match, validate and authenticate a request without running it.
+// Returns { response } if it stops here, else { route, userId, request, requestId }
+const prepareRoute = async (event) => {
+  const requestId = getRequestId(event);
+  const method = getRequestMethod(event);
+  const path = getRoutePath(event);
+  
+  if (method === 'OPTIONS') {
+    return { response: { statusCode: 204, headers: { ...CORS_HEADERS, 'Access-Control-Max-Age': '86400' }, body: '' } };
+  }
+  
+  const matches = ROUTES.filter(route => route.pattern.test(path));
+  if (matches.length === 0) {
+    return { response: withEnvelope(jsonResponse(404, { error: `No route for ${method} ${path}` }), requestId) };
+  }
+  const route = matches.find(candidate => candidate.methods.includes(method));
+  if (!route) {
+    const allowed = [...new Set(matches.flatMap(candidate => candidate.methods))].join(', ');
+    return { response: withEnvelope(jsonResponse(405, { error: `${method} not supported on ${path}` }, { Allow: allowed }), requestId) };
+  }
+  
+  // Handlers get the normalized path and validated body rather than re-reading the event
+  const request = { method, path, body: null };
+  if (route.schema) {
+    const parsed = parseRequestBody(event, route.schema);
+    if (parsed.response) {
+      return { response: withEnvelope(parsed.response, requestId) };
+    }
+    request.body = parsed.body;
+  }
+  
+  let userId = null;
+  if (route.auth !== false) {
+    try {
+      userId = await resolveUserId(event);
+    } catch (error) {
+      console.log(`[Router] ❌ ${method} ${path}: ${error.message}`);
+      return { response: withEnvelope(jsonResponse(401, { error: 'Sign in required' }), requestId) };
+    }
+  }
+  return { route, userId, request, requestId };
 };
 
-const formatDate = (timestamp) => {
-  return new Date(timestamp).toLocaleDateString('en-US', {
-    month: 'short',
-    day: 'numeric',
-    year: 'numeric'
-  });
+// Run a prepared route; `stream` only reaches routes marked streams: true
+const invokeRoute = async (event, { route, userId, request, requestId }, stream = null) => {
+  const { method, path } = request;
+  try {
+    console.log(`[Router] ${method} ${path}${userId ? ` (user ${userId})` : ''}${stream ? ' (streaming)' : ''}`);
+    return withEnvelope(await route.handler(event, userId, request, route.streams ? stream : null), requestId);
+  } catch (error) {
+    console.error(`[Router] ❌ ${method} ${path} failed:`, error);
+    return withEnvelope(jsonResponse(500, { error: error.message }), requestId);
+  }
+};
+
+const routeRequest = async (event) => {
+  const prepared = await prepareRoute(event);
+  return prepared.response || invokeRoute(event, prepared);
 };
 
 // Main handler
-exports.handler = async (event) => {
+exports.handler = async (event) => routeRequest(event);
+
+// Handles a query request; when `stream` is set, thinking stages and model text deltas are
+// pushed to the client as they happen (the returned response is still the full result).
+// Both the JSON and streaming paths go through the router, which passes the caller's userId in.
+const handleQuery = async (event, stream = null, resolvedUserId = null) => {
+
   const startTime = Date.now();
-  const thinking = []; // Initialize thinking trace
+  const thinking = createThinkingTrace(stream); // Initialize thinking trace
+  const requestId = getRequestId(event); // Ledger entries for this request are keyed on it
+  let userId = null;
+  let reservation = null; // Tokens held for this request until settled
   
   // Log environment setup for debugging
   // Note: AWS_REGION is automatically set by Lambda runtime
@@ -2436,82 +5301,79 @@ exports.handler = async (event) => {
   });
   
   try {
-    // DEBUG ENDPOINT: Return raw user context (FACTS) for inspection
-    if (event.path === '/debug' || event.rawPath === '/debug') {
-      const cognitoUserId = getUserId(event);
-      const userId = await getAppUserId(cognitoUserId);
-      console.log(`[Debug] Cognito ID: ${cognitoUserId}, App ID: ${userId}`);
-      const userContext = await getUserContext(userId);
-      
-      // Build the same FACTS JSON that would be sent to the AI
-      const factsJSON = {
-        user: {
-          name: userContext.name,
-          goals: userContext.goals,
-          streak_days: userContext.streak
-        },
-        last_workout: userContext.lastWorkout || null,
-        patterns: {
-          weekly_mileage: userContext.patterns.weeklyMileage,
-          avg_pace: userContext.patterns.avgPace,
-          workouts_this_week: userContext.patterns.workoutsThisWeek,
-          consistency: userContext.patterns.consistency,
-          needs_recovery: userContext.patterns.needsRecovery
-        },
-        recent_runs: userContext.recentRuns.map(r => ({
-          distance_mi: r.distance,
-          pace: r.pace,
-          date: new Date(r.date).toISOString()
-        })),
-        recent_bikes: userContext.recentBikes.map(b => ({
-          distance_mi: b.distance,
-          speed_mph: b.speed,
-          date: new Date(b.date).toISOString()
-        })),
-        meditation_sessions: userContext.meditation.length
-      };
-      
-      return {
-        statusCode: 200,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          userId,
-          timestamp: new Date().toISOString(),
-          facts: factsJSON,
-          metadata: {
-            runs_count: userContext.recentRuns.length,
-            bikes_count: userContext.recentBikes.length,
-            meditation_count: userContext.meditation.length,
-            has_stats: !!userContext.patterns.weeklyMileage && userContext.patterns.weeklyMileage !== '0'
-          }
-        }, null, 2)
-      };
+    // The router has already validated the body; this re-parse only yields the normalized values
+    const parsed = parseRequestBody(event, QUERY_REQUEST_SCHEMA);
+    if (parsed.response) {
+      return parsed.response;
     }
+    const requestBody = parsed.body;
     
-    // Extract userId from JWT token (Cognito sub) - use exactly like token-management does
-    // The subscription/token system saves and reads using Cognito sub directly as userId
-    const userId = getUserId(event);
-    console.log(`[Auth] User ID (Cognito sub, used directly as userId like token-management): ${userId}`);
+    // Canonical userId from the identity table - same resolution as every other route
+    userId = resolvedUserId || await resolveUserId(event);
+    console.log(`[Auth] User ID (canonical, from identity mapping): ${userId}`);
     thinking.push(`userId=${userId}`);
     
-    // Parse request body - handle both text and image queries
-    const requestBody = JSON.parse(event.body);
+    // Request fields (validated and normalized against QUERY_REQUEST_SCHEMA)
     const query = requestBody.query;
     const sessionId = requestBody.sessionId;
     
     // Log sessionId immediately for debugging
     console.log(`[SessionID] Received sessionId: "${sessionId}"`);
-    const imageBase64 = requestBody.image || null; // Image in base64 format
+    // Another user's sessionId must not leak its history or get our turns appended to it
+    if (sessionId) {
+      const owner = await getConversationOwner(sessionId);
+      if (owner && owner !== userId) {
+        console.log(`[SessionID] ❌ ${sessionId} belongs to another user`);
+        return jsonResponse(404, { error: 'Conversation not found', code: 'ConversationNotFound' });
+      }
+    }
+    // Images: the single `image` field (older apps) plus `images[]`, checked and sized for Bedrock
+    const encodedImages = [
+      ...(requestBody.image ? [{ field: 'image', data: requestBody.image }] : []),
+      ...(requestBody.images || []).map((data, index) => ({ field: `images[${index}]`, data }))
+    ];
+    if (encodedImages.length > MAX_IMAGES_PER_QUERY) {
+      return jsonResponse(400, {
+        error: `Invalid request: send at most ${MAX_IMAGES_PER_QUERY} images`,
+        code: 'ValidationFailed',
+        fields: [{ field: 'images', message: `must have at most ${MAX_IMAGES_PER_QUERY} items` }]
+      });
+    }
+    const prepared = await prepareImages(encodedImages);
+    if (prepared.errors) {
+      console.log(`[Images] ❌ ${prepared.errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+      return jsonResponse(400, {
+        error: `Invalid request: ${prepared.errors.map(e => `${e.field} ${e.message}`).join('; ')}`,
+        code: 'UnsupportedImage',
+        fields: prepared.errors
+      });
+    }
+    const images = prepared.images;
+    const hasImage = images.length > 0;
+    
+    // Form check clip: an uploaded video or sampled frames
+    const formClip = await prepareFormClip(requestBody, userId);
+    if (formClip.errors) {
+      console.log(`[FormClip] ❌ ${formClip.errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+      return jsonResponse(400, {
+        error: `Invalid request: ${formClip.errors.map(e => `${e.field} ${e.message}`).join('; ')}`,
+        code: 'InvalidFormClip',
+        fields: formClip.errors
+      });
+    }
+    const clip = formClip.clip;
+    const media = [...images, ...(clip ? clip.media : [])]; // Everything the model gets to look at
     const clientTimestamp = requestBody.timestamp || null; // Client-provided timestamp
     const locale = requestBody.locale || null; // Client-provided locale/timezone
     const isVoiceInput = requestBody.isVoiceInput || false; // Flag for voice input
-    const latitude = requestBody.latitude || null; // User's location latitude
-    const longitude = requestBody.longitude || null; // User's location longitude
+    const mixAmbient = requestBody.mixAmbient || false; // Client wants a pre-mixed track (e.g. the watch)
+    const latitude = requestBody.latitude ?? null; // User's location latitude (0 is valid)
+    const longitude = requestBody.longitude ?? null; // User's location longitude
     
     console.log(`[QUERY] User: ${userId}, Query: "${query}"`);
     console.log(`[SECURITY] Using Cognito sub as userId (same as token-management): ${userId}`);
-    if (imageBase64) {
-      console.log(`[QUERY] Image provided: ${imageBase64.length} bytes`);
+    if (hasImage) {
+      console.log(`[QUERY] ${images.length} image(s): ${images.map(image => `${image.format} ${image.width}x${image.height} ${image.bytes.length}B${image.resized ? ' (resized)' : ''}`).join(', ')}`);
     }
     if (clientTimestamp) {
       console.log(`[QUERY] Client timestamp: ${clientTimestamp}, Locale: ${locale || 'not provided'}`);
@@ -2521,7 +5383,7 @@ exports.handler = async (event) => {
     }
     
     // Detect action intents (meditation, equipment recognition, etc.)
-    const intent = detectActionIntent(query, !!imageBase64);
+    const intent = detectActionIntent(query, hasImage, clip);
     if (intent) {
       console.log(`[INTENT] ✅ Detected action: ${intent.action}`, JSON.stringify(intent.params));
       thinking.push(`intent:${intent.action}`);
@@ -2529,15 +5391,81 @@ exports.handler = async (event) => {
       console.log(`[INTENT] ❌ No action intent detected for query: "${query.substring(0, 100)}"`);
     }
     
-    // For meditation queries, set duration if not specified (will use user preference later if available)
-    if (intent && intent.action === 'meditation' && !intent.params.duration) {
-      // Temporarily set to 10 for classification, will update with user preference later
-      intent.params.duration = 10;
-      console.log(`[Meditation] No duration specified in query, will check user preference later`);
+    // Meditation length (and so its price) is settled before classifying - same as POST /quote
+    const meditationProfile = intent && intent.action === 'meditation' ? await getUserProfile(userId) : null;
+    const durationSource = resolveMeditationDuration(intent, meditationProfile);
+    if (durationSource) {
+      console.log(`[Meditation] Duration: ${intent.params.duration} min (from ${durationSource})`);
     }
     
     // Classify query (pass intent for meditation duration-based pricing)
-    classification = classifyQuery(query, intent);
+    classification = classifyQuery(query, intent, { hasImage });
+
+    // Tier 0: answer stats lookups from DynamoDB without touching Bedrock or the token balance
+    if (classification.handler === 'database') {
+      thinking.push('handler:database');
+      thinking.push('tier:0');
+      const dbResult = await handleDatabaseQuery(query, userId);
+
+      if (dbResult) {
+        console.log(`[DATABASE] ✅ Answered from DynamoDB (${dbResult.stats.type}), no tokens charged`);
+
+        await logUsage(userId, {
+          query,
+          tier: 0,
+          tokens: 0,
+          cost: 0,
+          handler: 'database',
+          actionType: 'stats',
+          requestId,
+          timestamp: Date.now()
+        });
+        
+        // Keep free answers in the conversation too, so follow-ups have context
+        const dbIntent = detectConversationIntent(query, [], null);
+        await addTurnToCache(sessionId, userId, 'user', query, dbIntent, {
+          timestamp: Date.now(),
+          clientTimestamp: clientTimestamp,
+          isVoiceInput: isVoiceInput,
+          tier: 0
+        });
+        await addTurnToCache(sessionId, userId, 'assistant', dbResult.response, dbIntent, {
+          timestamp: Date.now() + 1, // Keep the sort key distinct from the user turn
+          clientTimestamp: clientTimestamp,
+          tokensUsed: 0,
+          tier: 0
+        });
+        await touchConversationMeta(sessionId, userId, { title: query.substring(0, 40), lastMessage: dbResult.response });
+
+        const remainingTokens = await getTokenBalance(userId);
+        const duration = Date.now() - startTime;
+        thinking.push(`done:${duration}ms`);
+
+        return {
+          statusCode: 200,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+          },
+          body: JSON.stringify({
+            response: dbResult.response,
+            tokensUsed: 0,
+            tokensRemaining: remainingTokens,
+            tier: 0,
+            handler: 'database',
+            balanceWarning: null,
+            thinking: thinking,
+            stats: dbResult.stats // Structured numbers so the app can render cards/charts
+          })
+        };
+      }
+
+      // Nothing usable in the database - fall through to the AI path
+      console.log(`[DATABASE] ⚠️ No database answer, falling back to AI`);
+      thinking.push('database:fallback_to_ai');
+      classification = classifyQuery(query, intent, { hasImage, skipDatabase: true });
+    }
+
     thinking.push(`handler:${classification.handler}`);
     thinking.push(`tier:${classification.tier}`);
     console.log(`[CLASSIFICATION] Tier: ${classification.tier}, Handler: ${classification.handler}, Tokens: ${classification.tokens || classification.baseTokens || 0}`);
@@ -2549,40 +5477,23 @@ exports.handler = async (event) => {
     console.log(`[TokenCheck] Balance result: ${tokenBalance}, required: ${requiredTokens}`);
     thinking.push(`tokens: balance=${tokenBalance}, cost=${requiredTokens}`);
     
-    if (requiredTokens > 0 && tokenBalance < requiredTokens) {
-      console.log(`[TokenCheck] ❌ Insufficient tokens - balance: ${tokenBalance}, required: ${requiredTokens}`);
-      // Get user's subscription status to provide personalized upsell
-      const hasSubscription = tokenBalance > 0; // Simple heuristic for now
-      
-      return {
-        statusCode: 402,
-        body: JSON.stringify({
-          error: 'Insufficient tokens',
-          required: requiredTokens,
-          balance: tokenBalance,
-          queryType: classification.handler,
-          tier: classification.tier,
-          upsell: {
-            hasSubscription,
-            message: hasSubscription 
-              ? `You need ${requiredTokens} more tokens for this ${classification.handler === 'agent' ? 'advanced' : ''} query.`
-              : `This query requires ${requiredTokens} tokens to unlock AI-powered insights.`,
-            recommendation: hasSubscription
-              ? 'token_pack'  // Recommend one-time purchase
-              : 'subscription',  // Recommend monthly subscription
-            tokenPacks: [
-              { id: 'quickBoost', name: 'Quick Boost', tokens: 100, bonus: 0, price: 499, popular: false },
-              { id: 'powerPack', name: 'Power Pack', tokens: 300, bonus: 50, price: 999, popular: true },
-              { id: 'proBundle', name: 'Pro Bundle', tokens: 700, bonus: 150, price: 1999, popular: false }
-            ],
-            subscriptions: [
-              { id: 'athlete', name: 'Athlete', tokens: 1200, price: 999, perDay: 40 },
-              { id: 'champion', name: 'Champion', tokens: 3000, price: 1999, perDay: 100 },
-              { id: 'legend', name: 'Legend', tokens: 10000, price: 4999, perDay: 333 }
-            ]
-          }
-        })
-      };
+    // Hold the quoted price now; it's settled against what was actually delivered at the end.
+    // The reservation is the balance check, so a concurrent spend is caught here too
+    if (requiredTokens > 0) {
+      try {
+        reservation = await deductTokens(userId, requiredTokens, {
+          requestId,
+          reason: 'reserve',
+          metadata: { handler: classification.handler, tier: classification.tier }
+        });
+        thinking.push(`tokens:reserved ${requiredTokens}`);
+      } catch (error) {
+        if (error.code === 'InsufficientTokens') {
+          console.log(`[TokenReserve] ❌ Insufficient tokens - balance: ${error.balance}, required: ${error.required}`);
+          return buildInsufficientTokensResponse(error.required, error.balance, classification);
+        }
+        throw error;
+      }
     }
     
     // Get user context for all AI queries
@@ -2619,31 +5530,17 @@ exports.handler = async (event) => {
     }
     
     // 🆕 V3: Get user profile
-    const userProfile = await getUserProfile(userId);
+    const userProfile = meditationProfile || await getUserProfile(userId);
     console.log(`[UserProfile] Profile completeness: ${userProfile.metadata.profileCompleteness}%`);
     thinking.push(`profile:${userProfile.metadata.profileCompleteness}%`);
     
-    // Update meditation duration from user profile if not specified in query
-    // Note: This happens after token balance check, so we'll adjust tokens later if needed
-    if (intent && intent.action === 'meditation' && intent.params.duration === 10) {
-      // Only update if it was the default 10 (not explicitly requested)
-      if (userProfile && userProfile.meditation && userProfile.meditation.preferredDuration) {
-        intent.params.duration = userProfile.meditation.preferredDuration;
-        console.log(`[Meditation] Updated duration from user preference: ${intent.params.duration} min`);
-        // Re-classify with updated duration for accurate token pricing
-        const updatedClassification = classifyQuery(query, intent);
-        thinking.push(`meditation: duration updated to ${intent.params.duration} min, tokens: ${updatedClassification.tokens}`);
-        // Update classification and required tokens
-        classification = updatedClassification;
-        console.log(`[Meditation] Token cost updated: ${classification.tokens} tokens for ${intent.params.duration} min meditation`);
-      }
-    }
-    
     // 🆕 V3: Add user query to cache (saves to DynamoDB async)
     await addTurnToCache(sessionId, userId, 'user', query, detectedIntent, {
       timestamp: Date.now(),
       clientTimestamp: clientTimestamp,
-      isVoiceInput: isVoiceInput
+      isVoiceInput: isVoiceInput,
+      hasImage,
+      tier: classification.tier
     });
     
     // Detect mood: combine message sentiment + activity patterns
@@ -2689,12 +5586,13 @@ exports.handler = async (event) => {
     
     let response;
     let actualTokensUsed = classification.tokens || classification.baseTokens || 5;
+    const meter = createUsageMeter(); // What this request actually consumes
     
     if (classification.handler === 'ai') {
       thinking.push('query:ai');
       thinking.push(`model:${classification.model}`);
       // 🆕 V3: Handle with AI model - pass conversation intelligence parameters
-      response = await invokeBedrockModel(query, userId, classification.model, sessionId, userContext, imageBase64, intent, detectedMood, timeContext, isVoiceInput, conversationHistory, detectedIntent, userProfile);
+      response = await invokeBedrockModel(query, userId, classification.model, sessionId, userContext, media, intent, detectedMood, timeContext, isVoiceInput, conversationHistory, detectedIntent, userProfile, stream, meter);
     } else if (classification.handler === 'agent') {
       thinking.push('query:agent');
       // Handle with Bedrock Agent (complex multi-step queries)
@@ -2713,7 +5611,8 @@ exports.handler = async (event) => {
         agentId, 
         agentAliasId,
         sessionId,
-        userContext
+        userContext,
+        meter
       );
       
       // Add null check for agentResult
@@ -2722,60 +5621,16 @@ exports.handler = async (event) => {
       }
       
       response = agentResult.response || '';
-      // Calculate actual tokens based on agent usage with null safety
-      const inputTokens = agentResult.inputTokens || 0;
-      const outputTokens = agentResult.outputTokens || 0;
-      actualTokensUsed = (classification.baseTokens || 0) + Math.ceil(inputTokens / 1000) + Math.ceil(outputTokens / 1000);
-      thinking.push(`agent: input=${inputTokens}, output=${outputTokens}, total=${actualTokensUsed}`);
-      console.log(`[AGENT] Base: ${classification.baseTokens || 0}, Input: ${inputTokens}, Output: ${outputTokens}, Total: ${actualTokensUsed}`);
-    }
-    
-    // Deduct tokens for all queries
-    thinking.push('tokens:deduct');
-    // Deduct tokens using app user ID (DynamoDB key), not Cognito ID
-    await deductTokens(userId, actualTokensUsed);
-    
-    // Log usage - use app user ID for activity tracking
-    await logUsage(userId, {
-      query,
-      tier: classification.tier,
-      tokens: actualTokensUsed,
-      cost: classification.cost,
-      handler: classification.handler,
-      timestamp: Date.now()
-    });
-    
-    // CRITICAL FIX: Fetch fresh balance after deduction instead of calculating from stale data
-    // This ensures tokensRemaining matches what the balance endpoint returns
-    const remainingTokens = await getTokenBalance(userId);
-    console.log(`[TokenBalance] After deduction: ${remainingTokens} tokens remaining (fetched from database)`);
-    
-    // Calculate low balance warning
-    let balanceWarning = null;
-    if (remainingTokens <= 10 && remainingTokens > 0) {
-      balanceWarning = {
-        level: 'low',
-        message: `You have ${remainingTokens} tokens left. Consider topping up to continue using AI features.`,
-        recommendation: 'token_pack',
-        suggestedPack: 'powerPack'
-      };
-    } else if (remainingTokens <= 0) {
-      balanceWarning = {
-        level: 'critical',
-        message: 'You\'re out of tokens! Database queries are still free, but you\'ll need tokens for AI insights.',
-        recommendation: 'subscription',
-        suggestedPlan: 'athlete'
-      };
-    } else if (remainingTokens <= 50) {
-      balanceWarning = {
-        level: 'medium',
-        message: `${remainingTokens} tokens remaining. You're doing great! Top up anytime to keep the momentum.`,
-        recommendation: null
-      };
+      // Agent usage is metered in invokeBedrockAgent; the base price is charged on top
+      meter.recordFlat('agentBase', classification.baseTokens || 0);
+      thinking.push(`agent: input=${agentResult.inputTokens}, output=${agentResult.outputTokens}${agentResult.estimated ? ' (estimated)' : ''}`);
+      console.log(`[AGENT] Base: ${classification.baseTokens || 0}, Input: ${agentResult.inputTokens}, Output: ${agentResult.outputTokens}`);
     }
     
     // Process actions based on detected intents and AI response
     const actions = [];
+    let meditationAudioMissing = false;
+    let storyAudioMissing = false;
     
     if (intent) {
       switch (intent.action) {
@@ -2811,24 +5666,43 @@ exports.handler = async (event) => {
           // Clean the script: remove markdown, section headers, and normalize pauses
           // Do this BEFORE replacing response with friendly message
           const originalScript = response;
-          const cleanScript = cleanMeditationScript(originalScript);
+          const meditationSegments = splitMeditationSegments(originalScript, planMeditationSegments(meditationDuration));
+          let cleanScript = joinMeditationSegments(meditationSegments);
+          let meditationTiming = null;
           
           // Add thinking step: cleaning script
           thinking.push(`meditation: script cleaned (${cleanScript.length} chars)`);
           
           // Generate audio with Amazon Polly (PRIMARY - not fallback!)
           let audioData = null;
+          meditationAudioMissing = true; // Cleared once Polly audio is in S3
           try {
             thinking.push(`meditation: generating audio with Amazon Polly...`);
             console.log(`[ACTION] 🎙️ Attempting to generate Polly audio for meditation (PRIMARY method)`);
             console.log(`[ACTION] Script length: ${cleanScript.length} chars, focus: ${intent.params.focus}`);
-            audioData = await generateMeditationAudio(cleanScript, intent.params.focus);
+            const voice = await resolveVoice(userProfile, locale);
+            console.log(`[ACTION] Voice: ${voice.id} (${voice.accent}, ${voice.gender}, from ${voice.source})`);
+            // Measured, extended and padded to the requested length
+            const timedMeditation = await generateTimedMeditationAudio(meditationSegments, {
+              durationMinutes: meditationDuration,
+              focus: intent.params.focus,
+              voiceId: voice.id,
+              meter,
+              modelId: classification.model
+            });
+            if (timedMeditation) {
+              audioData = timedMeditation.audioData;
+              cleanScript = timedMeditation.script; // With any extensions and padding, so the TTS fallback and replays match
+              meditationTiming = timedMeditation.timing;
+              thinking.push(`meditation: timed to ${meditationTiming.measuredSeconds}s of ${meditationTiming.targetSeconds}s (${meditationTiming.paddedSeconds}s padding, ${meditationTiming.extensionRounds} extension round(s))`);
+            }
             if (audioData && audioData.audioUrl) {
-              thinking.push(`meditation: audio generated successfully (${audioData.duration}s, saved to S3)`);
+              meditationAudioMissing = false;
+              thinking.push(`meditation: audio ${audioData.cached ? 'reused from cache' : 'generated successfully'} (${audioData.duration}s, saved to S3)`);
               console.log(`[ACTION] ✅ Polly audio generated successfully (PRIMARY)`);
               console.log(`[ACTION] Audio URL: ${audioData.audioUrl.substring(0, 100)}...`);
               console.log(`[ACTION] Audio filename: ${audioData.filename}`);
-              console.log(`[ACTION] Estimated duration: ${audioData.duration}s`);
+              console.log(`[ACTION] Measured duration: ${audioData.duration}s`);
             } else {
               thinking.push(`meditation: audio generation failed, using TTS fallback`);
               console.error(`[ACTION] ❌ Polly audio generation returned null/undefined`);
@@ -2857,6 +5731,15 @@ exports.handler = async (event) => {
             query // Use original query to detect user preferences
           );
           
+          // Pre-mixed voice + ambient bed for clients that can't mix (plain audioUrl is unchanged)
+          // Only an existing mix is returned here - new mixes are made by POST /meditations/audio
+          const mixedAudio = mixAmbient && audioData && audioData.audioUrl
+            ? await findMixedAudio(getAudioBucket(), audioData.audioKey, ambientSoundType)
+            : null;
+          if (mixAmbient) {
+            thinking.push(`meditation: ambient mix ${mixedAudio ? `ready (${ambientSoundType})` : 'not mixed yet'}`);
+          }
+          
           // Meditation intent detected - add action to trigger meditation playback
           console.log(`[ACTION] 🧘 Creating meditation action with script length: ${cleanScript.length} chars`);
           
@@ -2894,6 +5777,13 @@ exports.handler = async (event) => {
               audioUrl: audioData?.audioUrl || null, // Polly audio URL if available
               audioDuration: audioData?.duration || null,
               audioFilename: audioData?.filename || null, // For cleanup later
+              audioKey: audioData?.audioKey || null, // Replay/favorite via POST /meditations/audio
+              audioCached: audioData?.cached || false,
+              voiceId: audioData?.voiceId || null,
+              captions: audioData?.captions || null, // [{ startMs, endMs, text, words }] for highlighting during playback
+              timing: meditationTiming, // { targetSeconds, measuredSeconds, withinTolerance, segments: [{ name, startMs, durationMs }] } - segments null when the audio was already stored
+              mixedAudioUrl: mixedAudio?.mixedAudioUrl || null, // Voice over the ambient bed, when mixAmbient was asked for
+              mixedAudioDuration: mixedAudio?.mixedAudioDuration || null,
               ambientSoundType: ambientSoundType // Agent-specified ambient sound selection
             }
           };
@@ -2965,14 +5855,26 @@ exports.handler = async (event) => {
           break;
           
         case 'form_analysis':
-          // Form check - add action for detailed feedback
+          // Form check - add action for detailed feedback (per rep when a clip was reviewed)
+          const formFeedback = clip ? parseFormFeedback(response) : null;
           actions.push({
             type: 'form_feedback',
             data: {
-              analysis: response,
-              recommendations: extractRecommendations(response)
+              analysis: formFeedback ? formFeedback.analysis : response,
+              recommendations: formFeedback && formFeedback.recommendations.length > 0
+                ? formFeedback.recommendations
+                : extractRecommendations(response),
+              source: intent.params.source || 'image',
+              exercise: formFeedback ? formFeedback.exercise : null,
+              summary: formFeedback ? formFeedback.summary : null,
+              repCount: formFeedback ? formFeedback.reps.length : null,
+              reps: formFeedback ? formFeedback.reps : [],
+              videoKey: clip ? clip.videoKey || null : null
             }
           });
+          if (clip) {
+            console.log(`[ACTION] ${formFeedback ? '✅' : '⚠️'} Form feedback from ${clip.source}: ${formFeedback ? `${formFeedback.reps.length} reps` : 'no per-rep breakdown'}`);
+          }
           break;
           
         case 'meal_plan_creation':
@@ -3135,6 +6037,21 @@ exports.handler = async (event) => {
             storyAmbientType = 'rain';
           }
           
+          // Narrate with Polly - the story text stays in the action as the device TTS fallback
+          const storyText = storyData.story || response;
+          thinking.push(`story: generating audio with Amazon Polly...`);
+          const narrator = await resolveVoice(userProfile, locale);
+          const dialogueVoiceId = await resolveDialogueVoice(userProfile, narrator.id);
+          console.log(`[ACTION] 📖 Story narration: ${storyText.length} chars, narrator ${narrator.id}${dialogueVoiceId ? `, dialogue ${dialogueVoiceId}` : ''}`);
+          const storyAudio = await generateStoryAudio(storyText, intent.params, meter, { narratorVoiceId: narrator.id, dialogueVoiceId });
+          storyAudioMissing = !(storyAudio && storyAudio.audioUrl);
+          thinking.push(storyAudioMissing
+            ? 'story: audio generation failed, using TTS fallback'
+            : `story: audio ${storyAudio.cached ? 'reused from cache' : 'generated successfully'} (${storyAudio.duration}s, saved to S3)`);
+          const storyMix = mixAmbient && !storyAudioMissing
+            ? await findMixedAudio(getAudioBucket(), storyAudio.audioKey, storyAmbientType)
+            : null;
+          
           actions.push({
             type: 'bedtime_story',
             data: {
@@ -3145,6 +6062,16 @@ exports.handler = async (event) => {
               tone: intent.params.tone || 'calming',
               duration: storyDuration,
               playAudio: true,
+              audioUrl: storyAudio?.audioUrl || null,
+              audioDuration: storyAudio?.duration || null,
+              audioFilename: storyAudio?.filename || null,
+              audioKey: storyAudio?.audioKey || null,
+              audioCached: storyAudio?.cached || false,
+              voiceId: storyAudio?.voiceId || null,
+              dialogueVoiceId: storyAudio?.dialogueVoiceId || null,
+              captions: storyAudio?.captions || null,
+              mixedAudioUrl: storyMix?.mixedAudioUrl || null,
+              mixedAudioDuration: storyMix?.mixedAudioDuration || null,
               ambientSoundType: storyAmbientType
             }
           });
@@ -3355,6 +6282,90 @@ exports.handler = async (event) => {
       thinking.push(`actions:extracted ${extractedActions.length} from response`);
     }
     
+    // Settle the reservation against what was actually delivered
+    thinking.push('tokens:settle');
+    // Charge what was metered; the classification price only covers paths nothing was metered on
+    const usageBreakdown = meter.summarize();
+    const metered = meter.hasUsage();
+    let deliveredTokens = metered ? usageBreakdown.total : actualTokensUsed;
+    thinking.push(`tokens:metered ${metered ? usageBreakdown.total : 'none'}`);
+    const refundReasons = [];
+    if (intent && intent.action === 'meditation' && meditationAudioMissing) {
+      // Script delivered but no Polly audio - the app falls back to device TTS
+      // (when metered, Polly simply never shows up in the usage)
+      if (!metered) deliveredTokens -= classification.audioTokens || 0;
+      refundReasons.push('meditation_audio_unavailable');
+    }
+    if (intent && intent.action === 'bedtime_story' && storyAudioMissing) {
+      if (!metered) deliveredTokens -= classification.audioTokens || 0;
+      refundReasons.push('story_audio_unavailable');
+    }
+    if (intent && intent.action === 'create_session' && !actions.some(a => a.type === 'create_session')) {
+      // No workout could be parsed - charge it as a plain answer
+      deliveredTokens = Math.min(deliveredTokens, TEXT_ONLY_TOKENS);
+      refundReasons.push('create_session_unparsed');
+    }
+    deliveredTokens = Math.max(0, deliveredTokens);
+    
+    const settlement = reservation
+      ? await settleReservation(userId, reservation, deliveredTokens, { requestId, reasons: refundReasons })
+      : { reserved: 0, charged: 0, refunded: 0, released: 0, balance: await getTokenBalance(userId) };
+    reservation = null; // Settled - nothing left to refund if something fails below
+    actualTokensUsed = settlement.charged;
+    thinking.push(`tokens:settled ${settlement.charged} of ${settlement.reserved} reserved`);
+    if (settlement.refunded > 0) {
+      thinking.push(`tokens:refunded ${settlement.refunded} (${refundReasons.join(', ')})`);
+      console.log(`[TokenSettle] Refunded ${settlement.refunded} of ${settlement.reserved} reserved tokens: ${refundReasons.join(', ')}`);
+    } else {
+      console.log(`[TokenSettle] Charged ${settlement.charged} of ${settlement.reserved} reserved tokens`);
+    }
+    
+    // Log usage - use app user ID for activity tracking
+    await logUsage(userId, {
+      query,
+      tier: classification.tier,
+      tokens: actualTokensUsed,
+      refunded: settlement.refunded,
+      inputTokens: usageBreakdown.model.inputTokens,
+      outputTokens: usageBreakdown.model.outputTokens,
+      pollyCharacters: usageBreakdown.polly.characters,
+      images: usageBreakdown.images.count,
+      videos: usageBreakdown.videos.count,
+      cost: classification.cost,
+      handler: classification.handler,
+      actionType: actions.length > 0 ? actions[0].type : (intent ? intent.action : 'answer'),
+      requestId,
+      timestamp: Date.now()
+    });
+    
+    // Balance after settlement, computed by the ledger from the same numbers the balance endpoint uses
+    const remainingTokens = settlement.balance;
+    console.log(`[TokenBalance] After settlement: ${remainingTokens} tokens remaining (from ledger)`);
+    
+    // Calculate low balance warning
+    let balanceWarning = null;
+    if (remainingTokens <= 10 && remainingTokens > 0) {
+      balanceWarning = {
+        level: 'low',
+        message: `You have ${remainingTokens} tokens left. Consider topping up to continue using AI features.`,
+        recommendation: 'token_pack',
+        suggestedPack: 'powerPack'
+      };
+    } else if (remainingTokens <= 0) {
+      balanceWarning = {
+        level: 'critical',
+        message: 'You\'re out of tokens! Database queries are still free, but you\'ll need tokens for AI insights.',
+        recommendation: 'subscription',
+        suggestedPlan: 'athlete'
+      };
+    } else if (remainingTokens <= 50) {
+      balanceWarning = {
+        level: 'medium',
+        message: `${remainingTokens} tokens remaining. You're doing great! Top up anytime to keep the momentum.`,
+        recommendation: null
+      };
+    }
+    
     // Log actions before returning
     if (actions.length > 0) {
       console.log(`[RESPONSE] ✅ Returning ${actions.length} action(s):`, actions.map(a => a.type).join(', '));
@@ -3367,11 +6378,19 @@ exports.handler = async (event) => {
       // Save to cache
       await addTurnToCache(sessionId, userId, 'assistant', response, detectedIntent, {
         timestamp: Date.now(),
+        clientTimestamp: clientTimestamp,
         tokensUsed: actualTokensUsed || 0,
-        tier: classification.tier
+        tier: classification.tier,
+        actions
       });
+      await touchConversationMeta(sessionId, userId, { title: conversationTitle, lastMessage: response });
       console.log(`[Conversation] Saved assistant response to cache`);
       
+      // Fold older turns into the rolling summary once the session gets long. Awaited so it can't be
+      // frozen mid-write, and bounded by SUMMARY_TIMEOUT_MS; if it gives up or fails (logged inside),
+      // the next turn finds the session still over the threshold and retries.
+      await updateConversationSummary(sessionId);
+      
       // Update user profile
       await updateProfileFromConversation(
         userId, 
@@ -3397,6 +6416,9 @@ exports.handler = async (event) => {
         response,
         tokensUsed: actualTokensUsed,
         tokensRemaining: remainingTokens,
+        tokensReserved: settlement.reserved,
+        usageBreakdown,
+        refund: settlement.refunded > 0 ? { tokens: settlement.refunded, reasons: refundReasons } : undefined,
         tier: classification.tier,
         handler: classification.handler,
         balanceWarning,
@@ -3410,6 +6432,19 @@ exports.handler = async (event) => {
   } catch (error) {
     thinking.push(`error:${error.message}`);
     console.error('[ERROR]', error);
+    
+    // Nothing was delivered - give back everything we reserved
+    let refund;
+    if (reservation) {
+      try {
+        const settlement = await settleReservation(userId, reservation, 0, { requestId, reasons: ['request_failed'] });
+        refund = { tokens: settlement.refunded, reasons: ['request_failed'], tokensRemaining: settlement.balance };
+        thinking.push(`tokens:refunded ${settlement.refunded} (request_failed)`);
+      } catch (refundError) {
+        console.error('[TokenSettle] ❌ Refund after failure did not go through:', refundError);
+      }
+    }
+    
     return {
       statusCode: 500,
       headers: {
@@ -3418,13 +6453,70 @@ exports.handler = async (event) => {
       },
       body: JSON.stringify({
         error: error.message,
+        refund,
         thinking: thinking // Include thinking trace even on error
       })
     };
   }
 };
 
-const invokeBedrockModel = async (query, userId, modelId, sessionId, userContext, imageBase64 = null, intent = null, detectedMood = null, timeContext = null, isVoiceInput = false, conversationHistory = [], detectedIntent = null, userProfile = null) => {
+// Call the Converse API - when a stream is attached, use converseStream and relay text deltas.
+// Returns the same shape as bedrock.converse so the tool-use loop doesn't care which was used.
+const converseModel = async (params, stream = null, meter = null) => {
+  if (!stream) {
+    const response = await bedrock.converse(params).promise();
+    if (meter) meter.recordModel(params.modelId, response.usage);
+    return response;
+  }
+  
+  // aws-sdk v2 (Node) resolves as soon as the headers arrive; `stream` is an object-mode Readable
+  // (EventUnmarshallerStream) emitting one parsed event per frame, so `for await` sees them live
+  const response = await bedrock.converseStream(params).promise();
+  const content = [];
+  let stopReason = null;
+  let usage = null;
+  
+  for await (const event of response.stream) {
+    if (event.contentBlockStart?.start?.toolUse) {
+      const { toolUseId, name } = event.contentBlockStart.start.toolUse;
+      content[event.contentBlockStart.contentBlockIndex] = { toolUse: { toolUseId, name, input: '' } };
+    } else if (event.contentBlockDelta) {
+      const { delta, contentBlockIndex } = event.contentBlockDelta;
+      if (delta.text !== undefined) {
+        content[contentBlockIndex] = content[contentBlockIndex] || { text: '' };
+        content[contentBlockIndex].text += delta.text;
+        stream.send('delta', { text: delta.text });
+      } else if (delta.toolUse && content[contentBlockIndex]?.toolUse) {
+        content[contentBlockIndex].toolUse.input += delta.toolUse.input; // Tool input arrives as JSON fragments
+      }
+    } else if (event.messageStop) {
+      stopReason = event.messageStop.stopReason;
+    } else if (event.metadata) {
+      usage = event.metadata.usage;
+    }
+  }
+  
+  // Tool inputs were streamed as strings - parse them back into objects
+  const blocks = content.filter(Boolean).map(block => {
+    if (!block.toolUse) return block;
+    let input = {};
+    try {
+      input = block.toolUse.input ? JSON.parse(block.toolUse.input) : {};
+    } catch (e) {
+      console.error(`[Bedrock] ⚠️ Could not parse streamed tool input for ${block.toolUse.name}`);
+    }
+    return { toolUse: { ...block.toolUse, input } };
+  });
+  
+  if (meter) meter.recordModel(params.modelId, usage);
+  return {
+    stopReason,
+    output: { message: { role: 'assistant', content: blocks } },
+    usage
+  };
+};
+
+const invokeBedrockModel = async (query, userId, modelId, sessionId, userContext, media = [], intent = null, detectedMood = null, timeContext = null, isVoiceInput = false, conversationHistory = [], detectedIntent = null, userProfile = null, stream = null, meter = null) => {
   // Detect if this is an analysis query (should return structured JSON)
   const analysisKeywords = ['analyze', 'analysis', 'compare', 'trend', 'progress', 'performance'];
   const isAnalysis = analysisKeywords.some(kw => query.toLowerCase().includes(kw));
@@ -3434,7 +6526,7 @@ const invokeBedrockModel = async (query, userId, modelId, sessionId, userContext
   
   // 🆕 V3: Build enhanced system prompt with conversation intelligence
   const systemPrompt = isMeditation 
-    ? buildMeditationSystemPrompt(userContext, timeContext)
+    ? withConversationSummary(buildMeditationSystemPrompt(userContext, timeContext), conversationHistory)
     : buildEnhancedSystemPrompt(userContext, conversationHistory, detectedIntent, isAnalysis, userProfile);
   
   // Adjust user prompt for voice input if needed
@@ -3449,8 +6541,10 @@ const invokeBedrockModel = async (query, userId, modelId, sessionId, userContext
       : buildUserPrompt(adjustedQuery, userContext, intent);
   
   console.log(`[Bedrock] Invoking ${modelId} for query: ${query.substring(0, 100)}...`);
-  if (imageBase64) {
-    console.log(`[Bedrock] Including image in request (${imageBase64.length} bytes)`);
+  media = media || [];
+  const imageCount = media.filter(item => item.kind !== 'video').length;
+  if (media.length > 0) {
+    console.log(`[Bedrock] Including ${media.length} media item(s) in request (${media.map(item => item.kind === 'video' ? `video/${item.format}` : item.format).join(', ')})`);
   }
   if (detectedMood && detectedMood.mood !== 'neutral') {
     console.log(`[Bedrock] Mood context: ${detectedMood.mood} (${(detectedMood.confidence * 100).toFixed(0)}% confidence)`);
@@ -3466,42 +6560,55 @@ const invokeBedrockModel = async (query, userId, modelId, sessionId, userContext
     // Build content array - start with text, add image if provided
     const userContent = [{ text: userPrompt }];
     
-    // Add image if provided (Nova Pro supports vision!)
-    if (imageBase64) {
-      try {
-        // Convert base64 to buffer
-        const imageBuffer = Buffer.from(imageBase64, 'base64');
-        
-        userContent.push({
-          image: {
-            format: 'jpeg', // Assume JPEG (can detect PNG if needed)
-            source: {
-              bytes: imageBuffer
-            }
-          }
-        });
-        console.log(`[Bedrock] Image added to content (${imageBuffer.length} bytes)`);
-      } catch (error) {
-        console.error('[Bedrock] Error adding image:', error);
-        // Continue without image if there's an error
+    // Add images/video if provided (Nova Pro supports vision!) - already format-checked and sized
+    media.forEach((image, index) => {
+      if (image.kind === 'video') {
+        // Read straight from S3 by Bedrock - the clip never passes through this Lambda
+        userContent.push({ video: { format: image.format, source: { s3Location: { uri: image.s3Uri } } } });
+        console.log(`[Bedrock] Video added to content (${image.s3Uri})`);
+        return;
       }
-    }
+      if (image.label) {
+        userContent.push({ text: image.label }); // Frame timestamps for per-rep feedback
+      } else if (imageCount > 1) {
+        userContent.push({ text: `Image ${index + 1} of ${imageCount}:` }); // So the model can refer to "the second photo"
+      }
+      userContent.push({
+        image: {
+          format: image.format,
+          source: {
+            bytes: image.bytes
+          }
+        }
+      });
+      console.log(`[Bedrock] Image ${index + 1} added to content (${image.format}, ${image.bytes.length} bytes)`);
+    });
+    if (meter && imageCount > 0) meter.recordImages(imageCount);
+    if (meter) media.filter(item => item.kind === 'video').forEach(video => meter.recordVideo(video.bytes || 0));
     
     // Use Bedrock Converse API (works with all modern models including Nova)
-    // Scale maxTokens based on meditation duration (roughly 150-200 words per minute)
+    // Scale maxTokens with the meditation's segment plan, so long scripts aren't cut off before the closing
     let maxTokens = 1000;
     if (isMeditation && classification.meditationDuration) {
       const duration = classification.meditationDuration;
-      // Roughly 150-200 words per minute, ~5 chars per word = 750-1000 chars per minute
-      // Add buffer for SSML tags and pauses
-      maxTokens = Math.max(1500, Math.min(4000, duration * 200)); // 5min = 1000, 10min = 2000, 20min = 4000
+      const plannedWords = planMeditationSegments(duration).reduce((sum, segment) => sum + segment.targetSeconds * MEDITATION_WORDS_PER_SECOND, 0);
+      maxTokens = getMeditationMaxTokens(plannedWords); // 10min ≈ 1600, 30min ≈ 4300, 75min+ hits the model limit
       console.log(`[Bedrock] Meditation duration: ${duration} min → maxTokens: ${maxTokens}`);
     } else if (isMeditation) {
       maxTokens = 2000; // Default for meditations without duration
+    } else if (intent && intent.action === 'form_analysis' && intent.params.source !== 'image') {
+      maxTokens = 2500; // Per-rep breakdown for a whole set
     }
+    // Replay recent turns so follow-ups ("make it shorter") have context
+    const historyMessages = buildHistoryMessages(conversationHistory);
+    if (historyMessages.length > 0) {
+      console.log(`[Bedrock] Replaying ${historyMessages.length} prior messages`);
+    }
+    
     const params = {
       modelId,
       messages: [
+        ...historyMessages,
         {
           role: 'user',
           content: userContent
@@ -3514,8 +6621,80 @@ const invokeBedrockModel = async (query, userId, modelId, sessionId, userContext
       }
     };
     
-    const response = await bedrock.converse(params).promise();
-    let result = response.output.message.content[0].text;
+    // Let coaching queries pull data on demand via tools (meditations are pure generation)
+    const useTools = !isMeditation;
+    if (useTools) {
+      params.toolConfig = {
+        tools: getAvailableTools(),
+        toolChoice: { auto: {} }
+      };
+      params.system.push({
+        text: `TOOLS: Today is ${new Date().toISOString().split('T')[0]}. If the VERIFIED FACTS don't cover what the user asks about (e.g. a specific month, a personal record, meditation history or videos), call the matching tool instead of guessing. Treat tool results as verified facts.`
+      });
+    }
+    
+    // Only plain prose is relayed as deltas - analysis JSON and action replies (meditation, story,
+    // form analysis...) are post-processed, so the client gets those from the closing `done` event
+    const textStream = !isAnalysis && !intent ? stream : null;
+    if (stream && !textStream) {
+      console.log('[Stream] Structured/action reply - skipping text deltas');
+    }
+    
+    // Tool-use loop: keep calling the model until it stops asking for tools
+    let response = await converseModel(params, textStream, meter);
+    let toolRounds = 0;
+    while (useTools && response.stopReason === 'tool_use' && toolRounds < MAX_TOOL_ROUNDS) {
+      toolRounds++;
+      const assistantMessage = response.output.message;
+      params.messages.push(assistantMessage);
+      
+      const toolUses = assistantMessage.content.filter(block => block.toolUse).map(block => block.toolUse);
+      console.log(`[Bedrock] Tool round ${toolRounds}: ${toolUses.map(t => t.name).join(', ')}`);
+      
+      const toolResults = await Promise.all(toolUses.map(async (toolUse) => {
+        const output = await executeToolCall(toolUse.name, toolUse.input, { userId });
+        return {
+          toolResult: {
+            toolUseId: toolUse.toolUseId,
+            content: [{ json: output }],
+            status: output && output.error ? 'error' : 'success'
+          }
+        };
+      }));
+      params.messages.push({ role: 'user', content: toolResults });
+      
+      response = await converseModel(params, textStream, meter);
+    }
+    const hitToolLimit = response.stopReason === 'tool_use';
+    if (hitToolLimit) {
+      // Decline the pending calls and ask for one last answer from what's already been fetched
+      // (toolConfig has to stay while the conversation holds toolUse blocks)
+      console.log(`[Bedrock] ⚠️ Tool round limit (${MAX_TOOL_ROUNDS}) reached, asking for a final answer`);
+      const assistantMessage = response.output.message;
+      params.messages.push(assistantMessage);
+      const declined = assistantMessage.content.filter(block => block.toolUse).map(block => ({
+        toolResult: {
+          toolUseId: block.toolUse.toolUseId,
+          content: [{ json: { error: 'Tool limit reached - not run' } }],
+          status: 'error'
+        }
+      }));
+      params.messages.push({
+        role: 'user',
+        content: [...declined, { text: 'Answer now with the information you already have. Do not call any more tools.' }]
+      });
+      response = await converseModel(params, textStream, meter);
+    }
+    
+    let result = response.output.message.content
+      .filter(block => block.text)
+      .map(block => block.text)
+      .join('\n')
+      .trim();
+    if (!result && hitToolLimit) {
+      console.log('[Bedrock] ⚠️ Still no answer after the tool limit, using fallback message');
+      result = TOOL_LIMIT_FALLBACK_MESSAGE;
+    }
   
   // If analysis was requested, try to extract JSON from response
   if (isAnalysis && result) {
@@ -4348,6 +7527,11 @@ CRITICAL: ${hasName ? `Always use ${userContext.name}'s actual name "${userConte
 };
 
 const buildUserPrompt = (query, userContext, intent = null, timeContext = null, detectedMood = null) => {
+  // Form check from a clip: rep-by-rep review with timestamps
+  if (intent && intent.action === 'form_analysis' && intent.params.source !== 'image') {
+    return buildFormClipPrompt(query, intent);
+  }
+  
   // If this is a meditation query, enhance the prompt with meditation-specific instructions
   if (intent && intent.action === 'meditation') {
     const focus = intent.params.focus || 'stress';
@@ -4498,6 +7682,10 @@ After EVERY action or instruction completes, you MUST add [PAUSE: X seconds] mar
 - This creates natural pacing and allows listeners time to follow your guidance
 - Missing pause markers will result in rushed, unnatural audio
 
+⏱️ TIMING PLAN - the audio must run ${duration} minutes:
+Write the script in these five segments, in order. Put each segment's marker line (exactly as shown, on its own line) before its text - markers are removed before the script is spoken. Stay close to each word count; the pauses fill the rest of the time.
+${formatSegmentPlan(planMeditationSegments(duration))}
+
 ❌ DO NOT mention:
 - Specific workouts, runs, bikes, distances, paces, or training metrics
 - Performance numbers or training statistics
@@ -4514,11 +7702,9 @@ FORMATTING REQUIREMENTS:
 - This will be SPOKEN ALOUD, not read
 ${hasName ? `- CRITICAL: Use ${userContext.name}'s actual name "${userContext.name}" naturally throughout - NEVER use "athlete", "runner", "user", "Friend", or any generic terms` : '- CRITICAL: DO NOT use any name at all - use "you", "your", direct address without a name. NEVER use "Friend", "athlete", "runner", or any name.'}
 ${hasName ? `- Address ${userContext.name} by name multiple times throughout the script: "${userContext.name}, lets..." or "Hello ${userContext.name}..."` : `- Use direct address throughout: "Lets begin..." or "You can..." - never include a name`}
-- Write ONLY the spoken text - NO markdown, NO headers, NO formatting
+- Write ONLY the spoken text - NO markdown, NO headers, NO formatting (the [SEGMENT: ...] marker lines are the only exception)
 - Use a calm, soothing tone (even for motivation - be inspiring but peaceful)
-- For ${duration} minutes, create approximately ${Math.floor(duration * 3)}-${Math.floor(duration * 4)} short sentences
-- Start with a brief settling-in instruction (15-20 seconds)
-- End with a gentle return instruction (15-20 seconds)
+- Follow the TIMING PLAN for length: the arrival settles in, the closing gently returns
 - Use direct address${hasName ? ` ("${userContext.name}", "your breath", "your body")` : ' ("you", "your breath", "your body")'} for intimacy
 
 PAUSE MARKERS (CRITICAL FOR NATURAL SPEECH):
@@ -5147,7 +8333,7 @@ const getUserContext = async (userId, useCache = true) => {
 };
 
 // Bedrock Agent invocation for complex queries
-const invokeBedrockAgent = async (query, userId, agentId, agentAliasId, sessionId, userContext) => {
+const invokeBedrockAgent = async (query, userId, agentId, agentAliasId, sessionId, userContext, meter = null) => {
   try {
     console.log(`[AGENT] Invoking agent ${agentId} for complex query`);
     
@@ -5169,6 +8355,8 @@ const invokeBedrockAgent = async (query, userId, agentId, agentAliasId, sessionI
     let completion = '';
     let inputTokens = 0;
     let outputTokens = 0;
+    let inputChars = 0;
+    let outputChars = 0;
     
     // Process the event stream
     if (response.completion) {
@@ -5178,48 +8366,68 @@ const invokeBedrockAgent = async (query, userId, agentId, agentAliasId, sessionI
           completion += chunk.text || '';
         }
         if (event.trace) {
-          // Extract token usage from trace
-          const trace = event.trace;
+          // Extract token usage from trace - real counts from the model invocation metadata,
+          // prompt/response sizes only as a fallback for traces without it
+          const trace = event.trace.trace || event.trace;
+          const invocationOutput = trace.orchestrationTrace?.modelInvocationOutput;
           if (trace.orchestrationTrace?.modelInvocationInput) {
-            inputTokens += trace.orchestrationTrace.modelInvocationInput.text?.length || 0;
+            inputChars += trace.orchestrationTrace.modelInvocationInput.text?.length || 0;
           }
-          if (trace.orchestrationTrace?.modelInvocationOutput) {
-            outputTokens += trace.orchestrationTrace.modelInvocationOutput.rawResponse?.length || 0;
+          if (invocationOutput) {
+            outputChars += invocationOutput.rawResponse?.content?.length || invocationOutput.rawResponse?.length || 0;
+            const usage = invocationOutput.metadata?.usage;
+            if (usage) {
+              inputTokens += usage.inputTokens || 0;
+              outputTokens += usage.outputTokens || 0;
+            }
           }
         }
       }
     }
     
-    console.log(`[AGENT] Response length: ${completion.length}, Input tokens: ${inputTokens}, Output tokens: ${outputTokens}`);
+    const estimated = inputTokens === 0 && outputTokens === 0;
+    if (estimated) {
+      inputTokens = Math.ceil(inputChars / 4); // Rough estimate: 4 chars per token
+      outputTokens = Math.ceil(outputChars / 4);
+    }
+    if (meter) meter.recordModel('agent', { inputTokens, outputTokens }, { estimated });
+    console.log(`[AGENT] Response length: ${completion.length}, Input tokens: ${inputTokens}, Output tokens: ${outputTokens}${estimated ? ' (estimated)' : ''}`);
     
     return {
       response: completion || 'Agent completed the task.',
-      inputTokens: Math.ceil(inputTokens / 4), // Rough estimate: 4 chars per token
-      outputTokens: Math.ceil(outputTokens / 4)
+      inputTokens,
+      outputTokens,
+      estimated
     };
   } catch (error) {
     console.error('[AGENT ERROR]', error);
     // Fallback to direct model if agent fails
     console.log('[AGENT] Falling back to Amazon Nova Pro');
+    const before = meter ? meter.summarize().model : null;
     const fallbackResponse = await invokeBedrockModel(
       query, 
       userId, 
       'us.amazon.nova-pro-v1:0',
       sessionId,
       userContext,
-      null, // imageBase64
+      [], // images
       null, // intent
       null, // detectedMood
       null, // timeContext
       false, // isVoiceInput
       [], // conversationHistory
       null, // detectedIntent
-      null // userProfile
+      null, // userProfile
+      null, // stream
+      meter // Fallback model usage is metered directly
     );
+    // Report what the fallback call metered, so the agent path's numbers line up with the charge
+    const after = meter ? meter.summarize().model : null;
     return {
       response: fallbackResponse,
-      inputTokens: 1000, // Estimate
-      outputTokens: 500
+      inputTokens: after ? after.inputTokens - before.inputTokens : 0,
+      outputTokens: after ? after.outputTokens - before.outputTokens : 0,
+      estimated: false
     };
   }
 };
@@ -5233,115 +8441,571 @@ const formatPace = (paceMinutes) => {
   return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 };
 
-const getTokenBalance = async (userId) => {
-  // Optimized: Using eventual consistency for better performance (saves ~50-100ms)
-  // After migration, all users should have subscription data in prod-users
-  console.log(`[TokenBalance] Looking up balance for userId: "${userId}"`);
+// --- Usage Metering ---
+// Turns what a request actually consumed (Bedrock input/output tokens, Polly characters, image and video
+// inputs) into app tokens. classifyQuery's prices are still the up-front quote that gets reserved;
+// the metered total is what the reservation is settled against.
+// Override any part of the price table with the METER_PRICE_TABLE env var (JSON, same shape).
+const DEFAULT_METER_PRICES = {
+  // App tokens per 1,000 model tokens
+  models: {
+    'us.amazon.nova-lite-v1:0': { inputPer1K: 0.25, outputPer1K: 1 },
+    'us.amazon.nova-pro-v1:0': { inputPer1K: 0.6, outputPer1K: 2.4 },
+    agent: { inputPer1K: 0.6, outputPer1K: 2.4 },
+    default: { inputPer1K: 0.6, outputPer1K: 2.4 }
+  },
+  // App tokens per 1,000 synthesized characters (SSML tags aren't billed)
+  polly: { neuralPer1K: 0.3, standardPer1K: 0.1 },
+  perImage: 1,
+  perVideo: 5, // A form-check clip, up to MAX_FORM_VIDEO_BYTES
+  minimumCharge: 1 // Any request that reached a model costs at least this much
+};
+
+const loadMeterPrices = () => {
+  if (!process.env.METER_PRICE_TABLE) {
+    return DEFAULT_METER_PRICES;
+  }
+  try {
+    const overrides = JSON.parse(process.env.METER_PRICE_TABLE);
+    return {
+      ...DEFAULT_METER_PRICES,
+      ...overrides,
+      models: { ...DEFAULT_METER_PRICES.models, ...(overrides.models || {}) },
+      polly: { ...DEFAULT_METER_PRICES.polly, ...(overrides.polly || {}) }
+    };
+  } catch (error) {
+    console.error('[Metering] ❌ Invalid METER_PRICE_TABLE, using defaults:', error.message);
+    return DEFAULT_METER_PRICES;
+  }
+};
+
+const METER_PRICES = loadMeterPrices();
+
+const roundTokens = (tokens) => Math.round(tokens * 100) / 100;
+
+// Per-request meter - pass it down to anything that calls Bedrock or Polly
+const createUsageMeter = (prices = METER_PRICES) => {
+  const model = { calls: 0, inputTokens: 0, outputTokens: 0, tokens: 0, estimated: false };
+  const polly = { requests: 0, characters: 0, tokens: 0 };
+  const images = { count: 0, tokens: 0 };
+  const videos = { count: 0, bytes: 0, tokens: 0 };
+  const flat = {};
   
-  // Direct lookup by userId (could be Parse ID or Cognito sub)
-  const userResult = await dynamodb.get({
-    TableName: 'prod-users',
-    Key: { userId },
-    ProjectionExpression: 'subscription'
-  }).promise();
+  return {
+    // usage is Bedrock's { inputTokens, outputTokens }
+    recordModel(modelId, usage, { estimated = false } = {}) {
+      if (!usage) return;
+      const price = prices.models[modelId] || prices.models.default;
+      const inputTokens = usage.inputTokens || 0;
+      const outputTokens = usage.outputTokens || 0;
+      model.calls += 1;
+      model.inputTokens += inputTokens;
+      model.outputTokens += outputTokens;
+      model.tokens += (inputTokens / 1000) * price.inputPer1K + (outputTokens / 1000) * price.outputPer1K;
+      model.estimated = model.estimated || estimated;
+    },
+    recordPolly(text, engine = 'neural') {
+      const characters = String(text).replace(/<[^>]+>/g, '').length;
+      const per1K = engine === 'neural' ? prices.polly.neuralPer1K : prices.polly.standardPer1K;
+      polly.requests += 1;
+      polly.characters += characters;
+      polly.tokens += (characters / 1000) * per1K;
+    },
+    recordImages(count = 1) {
+      images.count += count;
+      images.tokens += count * prices.perImage;
+    },
+    recordVideo(bytes = 0) {
+      videos.count += 1;
+      videos.bytes += bytes;
+      videos.tokens += prices.perVideo;
+    },
+    // Fixed fees that aren't usage-based (e.g. the agent's base price)
+    recordFlat(label, tokens) {
+      flat[label] = (flat[label] || 0) + tokens;
+    },
+    hasUsage() {
+      return model.calls > 0 || polly.requests > 0 || images.count > 0 || videos.count > 0 || Object.keys(flat).length > 0;
+    },
+    // { model, polly, images, videos, flat, total } - total is the whole number of app tokens to charge
+    summarize() {
+      const flatTokens = Object.values(flat).reduce((sum, tokens) => sum + tokens, 0);
+      const raw = model.tokens + polly.tokens + images.tokens + videos.tokens + flatTokens;
+      return {
+        model: { ...model, tokens: roundTokens(model.tokens) },
+        polly: { ...polly, tokens: roundTokens(polly.tokens) },
+        images: { ...images, tokens: roundTokens(images.tokens) },
+        videos: { ...videos, tokens: roundTokens(videos.tokens) },
+        flat,
+        total: model.calls > 0 ? Math.max(prices.minimumCharge, Math.ceil(raw)) : Math.ceil(raw)
+      };
+    }
+  };
+};
+
+// --- Plan Catalog ---
+// The one list of subscription plans and token packs. The 402 upsell, getSubscriptionPlans,
+// rollover caps and the /plans endpoint all read from here; the iOS app fetches /plans instead
+// of keeping its own copy. Bump PLAN_CATALOG_VERSION whenever a price, allowance or pack changes.
+const PLAN_CATALOG_VERSION = '2026-10-18';
+
+// Prices are in cents. tokens is the monthly allowance; rolloverCap is how much unused allowance
+// carries into the next billing cycle.
+const SUBSCRIPTION_PLANS = [
+  { id: 'athlete', name: 'Athlete', tokens: 500, monthlyPrice: 999, rolloverCap: 300 },
+  { id: 'champion', name: 'Champion', tokens: 1500, monthlyPrice: 1999, rolloverCap: 1000 },
+  { id: 'legend', name: 'Legend', tokens: 5000, monthlyPrice: 4999, rolloverCap: 3000 }
+];
+
+const TOKEN_PACKS = [
+  { id: 'quickBoost', name: 'Quick Boost', tokens: 100, bonus: 0, price: 499, popular: false },
+  { id: 'powerPack', name: 'Power Pack', tokens: 300, bonus: 50, price: 999, popular: true },
+  { id: 'proBundle', name: 'Pro Bundle', tokens: 700, bonus: 150, price: 1999, popular: false }
+];
+
+const getPlan = (tier) => SUBSCRIPTION_PLANS.find(plan => plan.id === tier) || null;
+
+// Full catalog for /plans (free tier included so the app doesn't hardcode it either)
+const getPlanCatalog = () => ({
+  version: PLAN_CATALOG_VERSION,
+  currency: 'usd',
+  freeTier: { id: 'free', name: 'Free', tokens: DEFAULT_FREE_ALLOWANCE, rolloverCap: 0 },
+  plans: SUBSCRIPTION_PLANS.map(plan => ({ ...plan, perDay: Math.round(plan.tokens / 30) })),
+  tokenPacks: TOKEN_PACKS
+});
+
+// GET /plans - public and cacheable; clients send the version they have as If-None-Match
+const handlePlansRoute = (event) => {
+  const etag = `"${PLAN_CATALOG_VERSION}"`;
+  const cachedVersion = event.headers?.['If-None-Match'] || event.headers?.['if-none-match'];
+  if (cachedVersion === etag || cachedVersion === PLAN_CATALOG_VERSION) {
+    return { statusCode: 304, headers: { ETag: etag, 'Access-Control-Allow-Origin': '*' }, body: '' };
+  }
+  
+  return jsonResponse(200, getPlanCatalog(), { ETag: etag, 'Cache-Control': 'public, max-age=3600' });
+};
+
+// --- Token Ledger ---
+// Every debit and credit is recorded in prod-token-ledger (userId + entryId) and applied to
+// prod-users.subscription in the same transaction. The subscription update is conditioned on the
+// values we read, so concurrent requests retry instead of overdrawing, and the ledger put is
+// conditioned on the entryId, so a retried request is never charged twice.
+const TOKEN_LEDGER_TABLE = 'prod-token-ledger';
+const DEFAULT_FREE_ALLOWANCE = 150; // Free tier tokens for users without subscription data
+const LEDGER_MAX_ATTEMPTS = 4;
+
+// --- Billing Cycle ---
+// The monthly allowance resets on the subscription's billing day (subscription.billingCycleAnchor),
+// not the calendar month. Nothing runs at the boundary - the reset is applied lazily the first time
+// the balance is read or changed in a new cycle. topUpBalance is never touched by a reset.
+
+// anchor + n months, clamped to the end of shorter months (Jan 31 -> Feb 28 -> Mar 31)
+const addBillingMonths = (anchor, months) => {
+  const date = new Date(anchor);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(
+    year, month, Math.min(date.getUTCDate(), lastDay),
+    date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds()
+  ));
+};
+
+// The billing cycle containing `at`: { index (months since anchor), start, end }
+const getBillingCycle = (anchor, at = Date.now()) => {
+  const anchorDate = new Date(anchor);
+  const atDate = new Date(at);
+  let index = (atDate.getUTCFullYear() - anchorDate.getUTCFullYear()) * 12 +
+    (atDate.getUTCMonth() - anchorDate.getUTCMonth());
+  if (addBillingMonths(anchorDate, index) > atDate) {
+    index -= 1;
+  }
+  return {
+    index,
+    start: addBillingMonths(anchorDate, index),
+    end: addBillingMonths(anchorDate, index + 1)
+  };
+};
+
+// Bring a stored subscription into the current billing cycle
+// Returns { subscription, reset } - reset is true if a new cycle started since usage was last recorded
+// Legacy subscriptions with no period fields fall back to when the subscription (or, via
+// getUserSubscription, the account) was created; only a subscription with no dates at all starts now
+const rollSubscriptionCycle = (subscription, now = Date.now()) => {
+  const anchor = [subscription.billingCycleAnchor, subscription.currentPeriodStart, subscription.startDate, subscription.createdAt]
+    .find(date => date && !isNaN(new Date(date).getTime())) || new Date(now).toISOString();
+  const cycle = getBillingCycle(anchor, now);
+  const current = {
+    ...subscription,
+    billingCycleAnchor: new Date(anchor).toISOString(),
+    currentPeriodStart: cycle.start.toISOString(),
+    currentPeriodEnd: cycle.end.toISOString()
+  };
+  
+  // Legacy subscriptions without a recorded period: assume existing usage belongs to this cycle
+  if (!subscription.currentPeriodStart) {
+    return { subscription: current, reset: false };
+  }
   
-  const subscription = userResult.Item?.subscription || {};
-  const monthlyAllowance = subscription.monthlyTokenAllowance || 0;
-  const tokensUsedThisMonth = subscription.tokensUsedThisMonth || 0;
-  const topUpBalance = subscription.topUpBalance || 0;
+  const previousIndex = getBillingCycle(anchor, subscription.currentPeriodStart).index;
+  if (previousIndex >= cycle.index) {
+    return { subscription: current, reset: false };
+  }
   
-  // Calculate balances
-  const subscriptionRemaining = Math.max(0, monthlyAllowance - tokensUsedThisMonth);
-  // Clamp to 0 to prevent negative balances (can happen if deductions went below 0)
-  let totalAvailable = Math.max(0, subscriptionRemaining + topUpBalance);
+  // Unused allowance from the cycle that just ended carries forward, capped by the plan. Rolled-over
+  // tokens only last one cycle - they don't compound. If a whole cycle went by without any usage
+  // recorded, its full allowance is what carries.
+  const cap = getPlan(subscription.tier)?.rolloverCap || 0;
+  const allowance = subscription.monthlyTokenAllowance || 0;
+  const used = cycle.index - previousIndex > 1 ? 0 : (subscription.tokensUsedThisMonth || 0);
+  const rolloverTokens = Math.min(cap, Math.max(0, allowance - used));
   
-  // If no subscription data exists, return default for new users (migration should have created subscription)
+  return {
+    subscription: { ...current, tokensUsedThisMonth: 0, rolloverTokens },
+    reset: true
+  };
+};
+
+// Single source of truth for balance math (balance endpoint, 402 checks and tokensRemaining)
+const computeTokenBalance = (subscription) => {
   if (!subscription || Object.keys(subscription).length === 0) {
-    console.log(`[TokenBalance] No subscription data found for user ${userId}, returning default 150 tokens`);
-    totalAvailable = 150; // Default free tier tokens
+    return {
+      tier: 'free',
+      monthlyAllowance: DEFAULT_FREE_ALLOWANCE,
+      rolloverTokens: 0,
+      tokensUsedThisMonth: 0,
+      allowanceRemaining: DEFAULT_FREE_ALLOWANCE,
+      topUpBalance: 0,
+      total: DEFAULT_FREE_ALLOWANCE,
+      currentPeriodStart: null,
+      currentPeriodEnd: null,
+      isDefault: true
+    };
   }
   
-  console.log(`[TokenBalance] userId=${userId}, tier=${subscription.tier || 'free'}, monthly_allowance=${monthlyAllowance}, used=${tokensUsedThisMonth}, remaining=${subscriptionRemaining}, topup=${topUpBalance}, total=${totalAvailable}`);
+  const current = rollSubscriptionCycle(subscription).subscription;
+  const monthlyAllowance = current.monthlyTokenAllowance || 0;
+  const rolloverTokens = current.rolloverTokens || 0;
+  const tokensUsedThisMonth = current.tokensUsedThisMonth || 0;
+  const topUpBalance = current.topUpBalance || 0;
+  const allowanceRemaining = Math.max(0, monthlyAllowance + rolloverTokens - tokensUsedThisMonth);
   
-  return totalAvailable;
+  return {
+    tier: current.tier || 'free',
+    monthlyAllowance,
+    rolloverTokens,
+    tokensUsedThisMonth,
+    allowanceRemaining,
+    topUpBalance,
+    total: Math.max(0, allowanceRemaining + topUpBalance),
+    currentPeriodStart: current.currentPeriodStart,
+    currentPeriodEnd: current.currentPeriodEnd,
+    isDefault: false
+  };
 };
 
-const deductTokens = async (userId, tokens) => {
-  // Smart token deduction: Use subscription allowance first, then top-ups
-  
-  // Get current user subscription and balance
+const getUserSubscription = async (userId, consistent = false) => {
   const userResult = await dynamodb.get({
     TableName: 'prod-users',
     Key: { userId },
-    ProjectionExpression: 'subscription'
+    ProjectionExpression: 'subscription, createdAt',
+    ConsistentRead: consistent
   }).promise();
-  
-  const subscription = userResult.Item?.subscription || {};
-  const monthlyAllowance = subscription.monthlyTokenAllowance || 0;
-  const tokensUsedThisMonth = subscription.tokensUsedThisMonth || 0;
-  const topUpBalance = subscription.topUpBalance || 0;
-  const tokensRemaining = monthlyAllowance - tokensUsedThisMonth;
-  
-  // Check if subscription object exists - if not, we need to create it first
-  const subscriptionExists = userResult.Item?.subscription && Object.keys(userResult.Item.subscription).length > 0;
-  
-  console.log(`[TokenDeduction] userId=${userId}, need=${tokens}, subscription_remaining=${tokensRemaining}, topup=${topUpBalance}, subscription_exists=${subscriptionExists}`);
-  
-  // Ensure subscription object exists before updating nested attributes
-  if (!subscriptionExists) {
-    console.log(`[TokenDeduction] Subscription object doesn't exist, creating it first`);
+  const subscription = userResult.Item?.subscription || null;
+  // Legacy subscriptions may carry no dates at all - the account's creation anchors their cycle
+  if (subscription && Object.keys(subscription).length > 0 && !subscription.createdAt && userResult.Item.createdAt) {
+    return { ...subscription, createdAt: userResult.Item.createdAt };
+  }
+  return subscription;
+};
+
+// Persist a lazy cycle reset so usage history and the stored period agree with what we report
+// Best effort - if anything changed the subscription meanwhile, the next read or ledger entry redoes it
+const saveBillingCycle = async (userId, previous, current) => {
+  try {
     await dynamodb.update({
       TableName: 'prod-users',
       Key: { userId },
-      UpdateExpression: 'SET subscription = if_not_exists(subscription, :defaultSub)',
+      UpdateExpression: 'SET #sub.tokensUsedThisMonth = :used, #sub.rolloverTokens = :rollover, #sub.billingCycleAnchor = :anchor, #sub.currentPeriodStart = :cycleStart, #sub.currentPeriodEnd = :cycleEnd',
+      ConditionExpression: '#sub.currentPeriodStart = :prevCycleStart AND #sub.tokensUsedThisMonth = :prevUsed',
+      ExpressionAttributeNames: { '#sub': 'subscription' },
       ExpressionAttributeValues: {
-        ':defaultSub': {
-          tier: 'free',
-          status: 'inactive',
-          monthlyTokenAllowance: 150,
-          tokensUsedThisMonth: 0,
-          topUpBalance: 0
-        }
+        ':used': current.tokensUsedThisMonth,
+        ':rollover': current.rolloverTokens,
+        ':anchor': current.billingCycleAnchor,
+        ':cycleStart': current.currentPeriodStart,
+        ':cycleEnd': current.currentPeriodEnd,
+        ':prevCycleStart': previous.currentPeriodStart,
+        ':prevUsed': previous.tokensUsedThisMonth || 0
       }
     }).promise();
+    console.log(`[BillingCycle] ✅ Reset allowance for ${userId}: new cycle ${current.currentPeriodStart}, rollover=${current.rolloverTokens}`);
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') {
+      console.error('[BillingCycle] Error saving cycle reset:', error);
+    }
+  }
+};
+
+const getTokenBalanceDetails = async (userId) => {
+  console.log(`[TokenBalance] Looking up balance for userId: "${userId}"`);
+  const subscription = await getUserSubscription(userId);
+  if (subscription && subscription.currentPeriodStart) {
+    const rolled = rollSubscriptionCycle(subscription);
+    if (rolled.reset) {
+      await saveBillingCycle(userId, subscription, rolled.subscription);
+    }
+  }
+  const balance = computeTokenBalance(subscription);
+  console.log(`[TokenBalance] userId=${userId}, tier=${balance.tier}, monthly_allowance=${balance.monthlyAllowance}, used=${balance.tokensUsedThisMonth}, remaining=${balance.allowanceRemaining}, topup=${balance.topUpBalance}, total=${balance.total}${balance.isDefault ? ' (default)' : ''}`);
+  return balance;
+};
+
+const getTokenBalance = async (userId) => {
+  const balance = await getTokenBalanceDetails(userId);
+  return balance.total;
+};
+
+// GET /tokens/balance - the apps read `balance`; the breakdown comes along for the usage screens
+const handleTokenBalanceRoute = async (event, userId) => {
+  const details = await getTokenBalanceDetails(userId);
+  return jsonResponse(200, { balance: details.total, ...details });
+};
+
+// Id for ledger entries - always the API's own request id, never a client-supplied key
+// (an entry that already exists is replayed without a balance check, so the client must not pick it)
+const getRequestId = (event) => {
+  return event.requestContext?.requestId || require('crypto').randomUUID();
+};
+
+const insufficientTokensError = (required, balance) => {
+  const error = new Error(`Insufficient tokens: need ${required}, have ${balance}`);
+  error.code = 'InsufficientTokens';
+  error.required = required;
+  error.balance = balance;
+  return error;
+};
+
+// Work out the new subscription values for an entry, or throw InsufficientTokens
+// Debits use the monthly allowance first, then top-ups. Credits go back to the buckets named in
+// entry.fromAllowance / entry.fromTopUp (refunds), or to the top-up balance.
+const applyEntryToSubscription = (subscription, entry) => {
+  const balance = computeTokenBalance(subscription);
+  // Entries are always applied to the current billing cycle (resetting usage if a new one started)
+  const base = balance.isDefault
+    ? rollSubscriptionCycle({ tier: 'free', status: 'inactive', monthlyTokenAllowance: DEFAULT_FREE_ALLOWANCE, tokensUsedThisMonth: 0, topUpBalance: 0 }).subscription
+    : rollSubscriptionCycle(subscription).subscription;
+  
+  let fromAllowance;
+  let fromTopUp;
+  let tokensUsedThisMonth;
+  let topUpBalance;
+  if (entry.type === 'debit') {
+    // topUpOnly debits (account merges) move purchased tokens and leave the allowance alone
+    const available = entry.topUpOnly ? balance.topUpBalance : balance.total;
+    if (available < entry.amount) {
+      throw insufficientTokensError(entry.amount, available);
+    }
+    fromAllowance = entry.topUpOnly ? 0 : Math.min(entry.amount, balance.allowanceRemaining);
+    fromTopUp = entry.amount - fromAllowance;
+    tokensUsedThisMonth = balance.tokensUsedThisMonth + fromAllowance;
+    topUpBalance = balance.topUpBalance - fromTopUp;
+  } else {
+    fromAllowance = Math.min(entry.fromAllowance || 0, balance.tokensUsedThisMonth);
+    fromTopUp = entry.amount - fromAllowance;
+    tokensUsedThisMonth = balance.tokensUsedThisMonth - fromAllowance;
+    topUpBalance = balance.topUpBalance + fromTopUp;
   }
   
-  if (tokensRemaining >= tokens) {
-    // Use subscription allowance
-    console.log(`[TokenDeduction] Using subscription allowance`);
-    await dynamodb.update({
-      TableName: 'prod-users',
-      Key: { userId },
-      UpdateExpression: 'ADD subscription.tokensUsedThisMonth :tokens',
-      ExpressionAttributeValues: {
-        ':tokens': tokens
+  return {
+    subscription: { ...base, tokensUsedThisMonth, topUpBalance },
+    fromAllowance,
+    fromTopUp
+  };
+};
+
+const getLedgerEntry = async (userId, entryId) => {
+  const result = await dynamodb.get({
+    TableName: TOKEN_LEDGER_TABLE,
+    Key: { userId, entryId },
+    ConsistentRead: true
+  }).promise();
+  return result.Item || null;
+};
+
+const replayedLedgerEntry = async (userId, entry) => {
+  console.log(`[Ledger] ↩️ Entry ${entry.entryId} already applied, not charging again`);
+  return { entry, balance: await getTokenBalance(userId), replayed: true };
+};
+
+// Post a debit or credit to the ledger and the user's balance atomically
+// Returns { entry, balance, replayed } - replayed is true if this entryId was already applied
+const postLedgerEntry = async (userId, { entryId, type, amount, reason = null, metadata = {}, fromAllowance = 0, topUpOnly = false }) => {
+  for (let attempt = 1; attempt <= LEDGER_MAX_ATTEMPTS; attempt++) {
+    const subscription = await getUserSubscription(userId, true);
+    let next;
+    try {
+      next = applyEntryToSubscription(subscription, { type, amount, fromAllowance, topUpOnly });
+    } catch (error) {
+      if (error.code !== 'InsufficientTokens') throw error;
+      // A redelivered invocation (same API request id) whose debit already went through must
+      // replay, not fail on the lower balance
+      const existing = await getLedgerEntry(userId, entryId);
+      if (existing) return replayedLedgerEntry(userId, existing);
+      throw error;
+    }
+    const balanceAfter = computeTokenBalance(next.subscription).total;
+    
+    const now = Date.now();
+    const entry = {
+      userId,
+      entryId,
+      type,
+      amount,
+      fromAllowance: next.fromAllowance,
+      fromTopUp: next.fromTopUp,
+      reason,
+      balanceAfter,
+      timestamp: now,
+      createdAt: new Date(now).toISOString(),
+      ...metadata
+    };
+    
+    // Condition the balance update on exactly what we read (optimistic concurrency)
+    const names = { '#sub': 'subscription' };
+    const values = {};
+    let updateExpression;
+    let conditionExpression;
+    if (!subscription || Object.keys(subscription).length === 0) {
+      updateExpression = 'SET #sub = :sub';
+      conditionExpression = 'attribute_not_exists(#sub) OR size(#sub) = :zero';
+      values[':sub'] = next.subscription;
+      values[':zero'] = 0;
+    } else {
+      updateExpression = 'SET #sub.tokensUsedThisMonth = :used, #sub.topUpBalance = :topUp, ' +
+        '#sub.rolloverTokens = :rollover, #sub.billingCycleAnchor = :anchor, #sub.currentPeriodStart = :cycleStart, #sub.currentPeriodEnd = :cycleEnd';
+      values[':used'] = next.subscription.tokensUsedThisMonth;
+      values[':topUp'] = next.subscription.topUpBalance;
+      values[':rollover'] = next.subscription.rolloverTokens || 0;
+      values[':anchor'] = next.subscription.billingCycleAnchor;
+      values[':cycleStart'] = next.subscription.currentPeriodStart;
+      values[':cycleEnd'] = next.subscription.currentPeriodEnd;
+      const conditions = [];
+      if (subscription.tokensUsedThisMonth === undefined) {
+        conditions.push('attribute_not_exists(#sub.tokensUsedThisMonth)');
+      } else {
+        conditions.push('#sub.tokensUsedThisMonth = :prevUsed');
+        values[':prevUsed'] = subscription.tokensUsedThisMonth;
       }
-    }).promise();
-  } else if (tokensRemaining + topUpBalance >= tokens) {
-    // Use remaining subscription + some top-ups
-    const fromTopUp = tokens - tokensRemaining;
-    console.log(`[TokenDeduction] Using subscription=${tokensRemaining} + topup=${fromTopUp}`);
-    await dynamodb.update({
-      TableName: 'prod-users',
-      Key: { userId },
-      UpdateExpression: 'SET subscription.tokensUsedThisMonth = :monthlyAllowance ADD subscription.topUpBalance :topupDeduct',
-      ExpressionAttributeValues: {
-        ':monthlyAllowance': monthlyAllowance, // Max out subscription
-        ':topupDeduct': -fromTopUp
+      if (subscription.topUpBalance === undefined) {
+        conditions.push('attribute_not_exists(#sub.topUpBalance)');
+      } else {
+        conditions.push('#sub.topUpBalance = :prevTopUp');
+        values[':prevTopUp'] = subscription.topUpBalance;
       }
-    }).promise();
-  } else {
-    // Use only top-ups (subscription exhausted or no subscription)
-    console.log(`[TokenDeduction] Using only top-up balance`);
-    await dynamodb.update({
-      TableName: 'prod-users',
-      Key: { userId },
-      UpdateExpression: 'ADD subscription.topUpBalance :tokens',
-      ExpressionAttributeValues: {
-        ':tokens': -tokens
+      // Two requests racing across a cycle boundary must not both apply the reset
+      if (subscription.currentPeriodStart === undefined) {
+        conditions.push('attribute_not_exists(#sub.currentPeriodStart)');
+      } else {
+        conditions.push('#sub.currentPeriodStart = :prevCycleStart');
+        values[':prevCycleStart'] = subscription.currentPeriodStart;
       }
-    }).promise();
+      conditionExpression = conditions.join(' AND ');
+    }
+    
+    try {
+      await dynamodb.transactWrite({
+        TransactItems: [
+          {
+            Put: {
+              TableName: TOKEN_LEDGER_TABLE,
+              Item: entry,
+              ConditionExpression: 'attribute_not_exists(entryId)'
+            }
+          },
+          {
+            Update: {
+              TableName: 'prod-users',
+              Key: { userId },
+              UpdateExpression: updateExpression,
+              ConditionExpression: conditionExpression,
+              ExpressionAttributeNames: names,
+              ExpressionAttributeValues: values
+            }
+          }
+        ]
+      }).promise();
+      
+      console.log(`[Ledger] ✅ ${type} ${amount} for ${userId} (entry ${entryId}): allowance=${next.fromAllowance}, topup=${next.fromTopUp}, balance=${balanceAfter}`);
+      return { entry, balance: balanceAfter, replayed: false };
+    } catch (error) {
+      if (error.code !== 'TransactionCanceledException') {
+        throw error;
+      }
+      
+      // Either this entry was already applied (retried request) or the balance moved under us
+      const existing = await getLedgerEntry(userId, entryId);
+      if (existing) return replayedLedgerEntry(userId, existing);
+      console.log(`[Ledger] ⚠️ Balance changed concurrently for ${userId}, retrying (attempt ${attempt}/${LEDGER_MAX_ATTEMPTS})`);
+    }
+  }
+  
+  throw new Error(`Could not post ledger entry ${entryId} after ${LEDGER_MAX_ATTEMPTS} attempts`);
+};
+
+// Debit tokens for a request - throws InsufficientTokens instead of going negative
+const deductTokens = async (userId, tokens, { requestId, reason = null, metadata = {} } = {}) => {
+  const entryId = `${requestId || require('crypto').randomUUID()}:${reason || 'debit'}`;
+  console.log(`[TokenDeduction] userId=${userId}, need=${tokens}, entry=${entryId}`);
+  return postLedgerEntry(userId, { entryId, type: 'debit', amount: tokens, reason, metadata: { requestId: requestId || null, ...metadata } });
+};
+
+// Credit tokens back (refunds, grants) - fromAllowance returns that part to the monthly allowance
+const creditTokens = async (userId, tokens, { requestId, reason = null, fromAllowance = 0, metadata = {} } = {}) => {
+  const entryId = `${requestId || require('crypto').randomUUID()}:credit${reason ? `:${reason}` : ''}`;
+  console.log(`[TokenCredit] userId=${userId}, credit=${tokens}, entry=${entryId}`);
+  return postLedgerEntry(userId, { entryId, type: 'credit', amount: tokens, reason, fromAllowance, metadata: { requestId: requestId || null, ...metadata } });
+};
+
+// Settle a reservation against what was actually delivered: give back the difference, or debit an
+// overage (agent queries) if the balance still covers it. The difference is a refund only when there
+// are reasons (something wasn't delivered); metering below the quote just releases the rest.
+// Returns { reserved, charged, refunded, released, balance }
+const settleReservation = async (userId, reservation, deliveredTokens, { requestId, reasons = [] } = {}) => {
+  const reserved = reservation.entry.amount;
+  
+  if (deliveredTokens < reserved) {
+    const returned = reserved - deliveredTokens;
+    const isRefund = reasons.length > 0;
+    // Top-up tokens were spent last, so they go back first
+    const fromAllowance = Math.max(0, returned - (reservation.entry.fromTopUp || 0));
+    const credit = await creditTokens(userId, returned, {
+      requestId,
+      reason: isRefund ? 'refund' : 'settle',
+      fromAllowance,
+      metadata: isRefund ? { refundReasons: reasons } : {}
+    });
+    return {
+      reserved,
+      charged: deliveredTokens,
+      refunded: isRefund ? returned : 0,
+      released: isRefund ? 0 : returned,
+      balance: credit.balance
+    };
+  }
+  
+  if (deliveredTokens > reserved) {
+    try {
+      const overage = await deductTokens(userId, deliveredTokens - reserved, { requestId, reason: 'settle' });
+      return { reserved, charged: deliveredTokens, refunded: 0, released: 0, balance: overage.balance };
+    } catch (error) {
+      if (error.code !== 'InsufficientTokens') throw error;
+      console.log(`[Ledger] ⚠️ Overage of ${deliveredTokens - reserved} tokens not covered by balance, absorbing it`);
+      return { reserved, charged: reserved, refunded: 0, released: 0, balance: error.balance };
+    }
   }
+  
+  return { reserved, charged: reserved, refunded: 0, released: 0, balance: await getTokenBalance(userId) };
 };
 
 const logUsage = async (userId, usage) => {
@@ -5355,29 +9019,198 @@ const logUsage = async (userId, usage) => {
   }).promise();
 };
 
-// Get subscription plans - matches frontend SubscriptionTiers.swift
+// Get subscription plans (from the plan catalog)
 const getSubscriptionPlans = async () => {
-  return [
-    { 
-      tier: 'athlete', 
-      name: 'Athlete', 
-      price: 999, // $9.99/month
-      tokens: 500,
-      monthly: true
-    },
-    { 
-      tier: 'champion', 
-      name: 'Champion', 
-      price: 1999, // $19.99/month
-      tokens: 1500,
-      monthly: true
-    },
-    { 
-      tier: 'legend', 
-      name: 'Legend', 
-      price: 4999, // $49.99/month
-      tokens: 5000,
-      monthly: true
+  return SUBSCRIPTION_PLANS.map(plan => ({
+    tier: plan.id,
+    name: plan.name,
+    price: plan.monthlyPrice,
+    tokens: plan.tokens,
+    monthly: true
+  }));
+};
+
+// --- Usage History ---
+// Reads prod-genie-usage back for the /usage endpoint: where the tokens went, bucketed by day,
+// week and month (UTC), and when the balance runs out at the current burn rate.
+const USAGE_DEFAULT_DAYS = 90;
+const USAGE_MAX_DAYS = 366;
+const USAGE_BURN_RATE_DAYS = 7; // Recent window used to project depletion
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getUsageRecords = async (userId, from, to) => {
+  const items = [];
+  let lastKey;
+  do {
+    const result = await dynamodb.query({
+      TableName: 'prod-genie-usage',
+      KeyConditionExpression: 'userId = :userId AND #ts BETWEEN :from AND :to',
+      ExpressionAttributeNames: { '#ts': 'timestamp' },
+      ExpressionAttributeValues: { ':userId': userId, ':from': from, ':to': to },
+      ProjectionExpression: '#ts, tokens, refunded, handler, actionType, tier, cost',
+      ExclusiveStartKey: lastKey
+    }).promise();
+    items.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+};
+
+// Bucket keys: 2026-10-18 (day), 2026-10-12 (week, starting Monday), 2026-10 (month)
+const usagePeriodKey = (timestamp, granularity) => {
+  const date = new Date(timestamp);
+  if (granularity === 'month') {
+    return date.toISOString().slice(0, 7);
+  }
+  if (granularity === 'week') {
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(timestamp - daysSinceMonday * DAY_MS).toISOString().slice(0, 10);
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+const summarizeUsage = (records, granularity) => {
+  const buckets = new Map();
+  for (const record of records) {
+    const period = usagePeriodKey(record.timestamp, granularity);
+    if (!buckets.has(period)) {
+      buckets.set(period, { period, tokens: 0, refunded: 0, queries: 0, byHandler: {}, byActionType: {} });
     }
-  ];
+    const bucket = buckets.get(period);
+    const tokens = record.tokens || 0;
+    const handler = record.handler || 'ai';
+    const actionType = record.actionType || 'answer';
+    bucket.tokens += tokens;
+    bucket.refunded += record.refunded || 0;
+    bucket.queries += 1;
+    bucket.byHandler[handler] = (bucket.byHandler[handler] || 0) + tokens;
+    bucket.byActionType[actionType] = (bucket.byActionType[actionType] || 0) + tokens;
+  }
+  return [...buckets.values()].sort((a, b) => a.period.localeCompare(b.period));
+};
+
+// Days until the balance is gone at the recent burn rate (null if nothing is being spent)
+const projectDepletion = (records, balance, now = Date.now()) => {
+  const windowStart = now - USAGE_BURN_RATE_DAYS * DAY_MS;
+  const recent = records.filter(record => record.timestamp >= windowStart);
+  const spent = recent.reduce((sum, record) => sum + (record.tokens || 0), 0);
+  const burnRatePerDay = spent / USAGE_BURN_RATE_DAYS;
+  
+  if (burnRatePerDay <= 0) {
+    return { burnRatePerDay: 0, windowDays: USAGE_BURN_RATE_DAYS, daysRemaining: null, depletesAt: null, depletesBeforeReset: false };
+  }
+  
+  const daysRemaining = balance.total / burnRatePerDay;
+  const depletesAt = new Date(now + daysRemaining * DAY_MS).toISOString();
+  return {
+    burnRatePerDay: Math.round(burnRatePerDay * 10) / 10,
+    windowDays: USAGE_BURN_RATE_DAYS,
+    daysRemaining: Math.floor(daysRemaining),
+    depletesAt,
+    // The allowance refills at the end of the billing cycle - running out before then is what matters
+    depletesBeforeReset: !!balance.currentPeriodEnd && depletesAt < balance.currentPeriodEnd
+  };
+};
+
+// GET /usage?days=30 (or ?from=&to= as ISO dates)
+const handleUsageRoute = async (event, userId) => {
+  const params = event.queryStringParameters || {};
+  const now = Date.now();
+  const to = params.to ? Date.parse(params.to) : now;
+  const from = params.from
+    ? Date.parse(params.from)
+    : to - (parseInt(params.days, 10) || USAGE_DEFAULT_DAYS) * DAY_MS;
+  if (isNaN(from) || isNaN(to) || from > to) {
+    return jsonResponse(400, { error: 'from/to must be ISO dates with from before to' });
+  }
+  if (to - from > USAGE_MAX_DAYS * DAY_MS) {
+    return jsonResponse(400, { error: `Usage history is limited to ${USAGE_MAX_DAYS} days per request` });
+  }
+  
+  // The burn rate always looks at the last week, even if the requested range ends earlier
+  const [records, balance] = await Promise.all([
+    getUsageRecords(userId, Math.min(from, now - USAGE_BURN_RATE_DAYS * DAY_MS), Math.max(to, now)),
+    getTokenBalanceDetails(userId)
+  ]);
+  const inRange = records.filter(record => record.timestamp >= from && record.timestamp <= to);
+  
+  const byHandler = {};
+  const byActionType = {};
+  for (const record of inRange) {
+    const tokens = record.tokens || 0;
+    const handler = record.handler || 'ai';
+    const actionType = record.actionType || 'answer';
+    byHandler[handler] = (byHandler[handler] || 0) + tokens;
+    byActionType[actionType] = (byActionType[actionType] || 0) + tokens;
+  }
+  
+  console.log(`[Usage] ${userId}: ${inRange.length} records between ${new Date(from).toISOString()} and ${new Date(to).toISOString()}`);
+  return jsonResponse(200, {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    timezone: 'UTC',
+    totals: {
+      tokens: inRange.reduce((sum, record) => sum + (record.tokens || 0), 0),
+      refunded: inRange.reduce((sum, record) => sum + (record.refunded || 0), 0),
+      queries: inRange.length,
+      byHandler,
+      byActionType
+    },
+    daily: summarizeUsage(inRange, 'day'),
+    weekly: summarizeUsage(inRange, 'week'),
+    monthly: summarizeUsage(inRange, 'month'),
+    balance,
+    projection: projectDepletion(records.filter(record => record.timestamp <= now), balance, now)
+  });
+};
+
+// --- Price Quote ---
+// Dry run of the query path's pricing: same intent detection, classification and meditation
+// duration rules, but no Bedrock call and nothing reserved or deducted.
+const QUOTE_CONFIRM_TOKENS = 10; // Quotes at or above this are flagged for the UI to confirm first
+
+// POST /quote { query, image? }
+const handleQuoteRoute = async (event, userId) => {
+  const parsed = parseRequestBody(event, QUOTE_REQUEST_SCHEMA);
+  if (parsed.response) {
+    return parsed.response;
+  }
+  const query = parsed.body.query;
+  const hasImage = !!parsed.body.image || (parsed.body.images || []).length > 0;
+  const clip = parsed.body.videoKey ? { source: 'video' }
+    : parsed.body.frames && parsed.body.frames.length > 0
+      ? { source: 'frames', frameCount: parsed.body.frames.length, timestampsEstimated: parsed.body.frames.some(frame => typeof frame === 'string') }
+      : null;
+  
+  const intent = detectActionIntent(query, hasImage, clip);
+  const needsProfile = intent && intent.action === 'meditation' && !intent.params.duration;
+  const durationSource = resolveMeditationDuration(intent, needsProfile ? await getUserProfile(userId) : null);
+  
+  const classification = classifyQuery(query, intent, { hasImage });
+  const tokens = classification.tokens || classification.baseTokens || 0;
+  const balance = await getTokenBalanceDetails(userId);
+  
+  // Free stats lookups go to the model if the data isn't there - quote that price too
+  const fallbackTokens = classification.handler === 'database'
+    ? classifyQuery(query, intent, { hasImage, skipDatabase: true }).tokens
+    : null;
+  
+  console.log(`[Quote] ${userId}: "${query.substring(0, 100)}" → ${tokens} tokens (tier ${classification.tier}, balance ${balance.total})`);
+  return jsonResponse(200, {
+    tokens,
+    tier: classification.tier,
+    handler: classification.handler,
+    model: classification.model,
+    intent: intent ? { action: intent.action, params: intent.params } : null,
+    meditationDuration: classification.meditationDuration || null,
+    durationSource,
+    fallbackTokens,
+    // The quote is what gets reserved; the final charge is settled against metered usage
+    settlement: tokens > 0 ? 'metered' : 'free',
+    balance: balance.total,
+    covered: balance.total >= tokens,
+    shortfall: Math.max(0, tokens - balance.total),
+    requiresConfirmation: tokens >= QUOTE_CONFIRM_TOKENS,
+    catalogVersion: PLAN_CATALOG_VERSION
+  });
 };
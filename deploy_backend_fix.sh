@@ -0,0 +1,109 @@
+#!/bin/bash
+# Script to deploy backend_fix/index.js (with its ambient loops) to the query handler Lambda function
+# Dependencies (node_modules, package.json) are kept from the currently deployed package
+
+set -e
+
+LAMBDA_FUNCTION_NAME="genie-agent-prod-QueryHandlerFunction-2YLHH30v5fgU"
+AWS_PROFILE="do-app-admin"
+AWS_REGION="us-east-1"
+TEMP_DIR="/tmp/lambda-fix-$$"
+REPO_DIR="$(cd "$(dirname "$0")" && pwd)"
+AMBIENT_SOURCE_DIR="$REPO_DIR/Do/Resources/Audio/AmbientSounds"
+# Loops named in AMBIENT_MIX_ASSETS (backend_fix/index.js), read from ambient/ next to index.js
+AMBIENT_ASSETS="ambient_rain.mp3 ambient_zen.mp3 ambient_zen_bowls.mp3 ambient_story_calm.mp3"
+# ffmpeg layer for ambient mixing (provides /opt/bin/ffmpeg), e.g. arn:aws:lambda:us-east-1:<account>:layer:ffmpeg:1
+FFMPEG_LAYER_ARN="${FFMPEG_LAYER_ARN:-}"
+
+echo "🔧 Deploying backend_fix/index.js to Lambda function: $LAMBDA_FUNCTION_NAME"
+
+if ! node --check "$REPO_DIR/backend_fix/index.js"; then
+  echo "❌ backend_fix/index.js has syntax errors"
+  exit 1
+fi
+
+# Create temporary directory
+mkdir -p "$TEMP_DIR"
+cd "$TEMP_DIR"
+
+# Download current Lambda function code (for its node_modules)
+echo "📥 Downloading current Lambda function code..."
+DOWNLOAD_URL=$(aws lambda get-function \
+  --profile "$AWS_PROFILE" \
+  --region "$AWS_REGION" \
+  --function-name "$LAMBDA_FUNCTION_NAME" \
+  --query 'Code.Location' \
+  --output text)
+
+if [ -z "$DOWNLOAD_URL" ]; then
+  echo "❌ Failed to get download URL"
+  exit 1
+fi
+
+curl -s "$DOWNLOAD_URL" -o lambda-code.zip
+unzip -q lambda-code.zip
+rm lambda-code.zip
+echo "✅ Extracted Lambda function code"
+
+echo "🔨 Replacing index.js..."
+cp "$REPO_DIR/backend_fix/index.js" index.js
+
+# Ambient loops for server-side mixing - a missing one only turns mixing off for that type
+rm -rf ambient
+mkdir -p ambient
+for asset in $AMBIENT_ASSETS; do
+  if [ -f "$AMBIENT_SOURCE_DIR/$asset" ]; then
+    cp "$AMBIENT_SOURCE_DIR/$asset" ambient/
+  else
+    echo "⚠️ $asset not found in $AMBIENT_SOURCE_DIR - mixes that need it will be skipped"
+  fi
+done
+echo "✅ Bundled ambient loops: $(ls ambient | tr '\n' ' ')"
+
+# Create deployment package
+echo "📦 Creating deployment package..."
+zip -q -r lambda-fixed.zip . -x 'lambda-fixed.zip'
+
+# Update the Lambda function
+echo "🚀 Updating Lambda function..."
+aws lambda update-function-code \
+  --profile "$AWS_PROFILE" \
+  --region "$AWS_REGION" \
+  --function-name "$LAMBDA_FUNCTION_NAME" \
+  --zip-file "fileb://lambda-fixed.zip" \
+  --output json
+
+# Attach the ffmpeg layer - without /opt/bin/ffmpeg ambient mixing is skipped
+if [ -n "$FFMPEG_LAYER_ARN" ]; then
+  echo "🎚️ Attaching ffmpeg layer..."
+  aws lambda wait function-updated \
+    --profile "$AWS_PROFILE" \
+    --region "$AWS_REGION" \
+    --function-name "$LAMBDA_FUNCTION_NAME"
+  # Keep the other layers, replacing any older version of this one
+  FFMPEG_LAYER_NAME=$(echo "$FFMPEG_LAYER_ARN" | cut -d: -f7)
+  OTHER_LAYERS=$(aws lambda get-function-configuration \
+    --profile "$AWS_PROFILE" \
+    --region "$AWS_REGION" \
+    --function-name "$LAMBDA_FUNCTION_NAME" \
+    --query 'Layers[].Arn' \
+    --output text | tr '\t' '\n' | grep -v -e '^None$' -e ":layer:$FFMPEG_LAYER_NAME:" || true)
+  aws lambda update-function-configuration \
+    --profile "$AWS_PROFILE" \
+    --region "$AWS_REGION" \
+    --function-name "$LAMBDA_FUNCTION_NAME" \
+    --layers $OTHER_LAYERS "$FFMPEG_LAYER_ARN" \
+    --output json > /dev/null
+  echo "✅ ffmpeg layer attached: $FFMPEG_LAYER_ARN"
+else
+  echo "⚠️ FFMPEG_LAYER_ARN not set - ambient mixing stays off until an ffmpeg layer is attached"
+fi
+
+echo ""
+echo "✅ Lambda function updated successfully!"
+echo ""
+echo "🧹 Cleaning up temporary files..."
+cd /
+rm -rf "$TEMP_DIR"
+
+echo "✅ Done!"